@@ -1,376 +1,140 @@
-// Combined background service worker with all utilities
-// This includes all utility classes inline to avoid import issues
+// Combined background service worker
+// Shared utilities are loaded with importScripts so the worker, content script
+// and options page all run the same StorageManager/LLMProvider code
+importScripts(
+  'utils/storage.js',
+  'utils/promptTemplates.js',
+  'utils/llm.js',
+  'utils/rewriteActions.js',
+  'utils/profiles.js',
+  'utils/intents.js',
+  'utils/grounding.js',
+  'utils/htmlToText.js',
+  'utils/knowledgeIndex.js',
+  'utils/siteScrape.js'
+);
 
-// Storage utilities for Chrome extension
-class StorageManager {
+// Background service worker for JeepBeach Auto-Draft
+class JeepBeachBackground {
   constructor() {
-    this.syncKeys = [
-      'apiKey',
-      'tone',
-      'fallbackMessage',
-      'useGmailApi'
-    ];
-  }
-
-  // Get sync storage data
-  async getSyncData() {
-    return new Promise((resolve) => {
-      chrome.storage.sync.get(this.syncKeys, (result) => {
-        resolve(result);
-      });
-    });
-  }
-
-  // Set sync storage data
-  async setSyncData(data) {
-    return new Promise((resolve) => {
-      chrome.storage.sync.set(data, () => {
-        resolve();
-      });
-    });
-  }
-
-  // Get local storage data
-  async getLocalData(keys) {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(keys, (result) => {
-        resolve(result);
-      });
-    });
-  }
-
-  // Set local storage data
-  async setLocalData(data) {
-    return new Promise((resolve) => {
-      chrome.storage.local.set(data, () => {
-        resolve();
-      });
-    });
-  }
+    this.storage = new StorageManager();
+    this.siteScraper = new SiteScraper();
+    this.llmProvider = null;
+    this.refreshAlarmName = 'jb-refresh-site-cache';
 
-  // Get default settings
-  getDefaultSettings() {
-    return {
-      apiKey: '',
-      tone: 'friendly, concise, cheerful + helpful',
-      fallbackMessage: 'Thanks for reaching out! We are currently experiencing a high level of inbound questions so we would really appreciate it if you could check out FAQs for answers: https://jeepbeach.com/faq/\nIf you still need help, just reply here and we\'ll jump in!',
-      useGmailApi: false
-    };
+    this.setupMessageListener();
+    this.setupDraftPort();
+    this.setupCommands();
+    this.setupRefreshAlarm();
+    this.initializeSettings();
   }
 
-  // Initialize settings with defaults
   async initializeSettings() {
-    const current = await this.getSyncData();
-    const defaults = this.getDefaultSettings();
-
-    const needsUpdate = this.syncKeys.some(key => current[key] === undefined);
-
-    if (needsUpdate) {
-      const updated = { ...defaults, ...current };
-      await this.setSyncData(updated);
-      return updated;
-    }
-
-    return current;
-  }
-
-  // Get cached site data
-  async getSiteCache() {
-    const result = await this.getLocalData(['jeepBeachCache']);
-    return result.jeepBeachCache || null;
-  }
-
-  // Set cached site data
-  async setSiteCache(text) {
-    const cache = {
-      text: text,
-      updatedAt: Date.now()
-    };
-    await this.setLocalData({ jeepBeachCache: cache });
-  }
-
-  // Check if cache is expired (4 hours)
-  isCacheExpired(cache) {
-    if (!cache || !cache.updatedAt) return true;
-    const fourHours = 4 * 60 * 60 * 1000;
-    return Date.now() - cache.updatedAt > fourHours;
-  }
-}
-
-// JeepBeach content provider
-class JeepBeachContentProvider {
-  // Get JeepBeach content (static fallback)
-  getJeepBeachContent() {
-    return `Jeep Beach is an annual event held in Daytona Beach, Florida, featuring thousands of Jeep vehicles and enthusiasts.
-
-EVENT INFORMATION:
-- Jeep Beach is typically held in April each year
-- The event takes place in Daytona Beach, Florida
-- It features Jeep shows, vendors, beach driving, and social activities
-- Registration is required for most activities
-
-FREQUENTLY ASKED QUESTIONS:
-- When is Jeep Beach? Usually held in April, check the official website for exact dates
-- Where is Jeep Beach? Daytona Beach, Florida
-- Do I need to register? Yes, registration is required for most activities
-- Can I drive on the beach? Yes, with proper registration and permits
-- Are there age restrictions? Some activities may have age requirements
-
-REGISTRATION:
-- Online registration is available on the official website
-- Early registration often provides discounts
-- Registration includes access to most activities and events
-- Some activities may require additional fees
-
-EVENTS AND ACTIVITIES:
-- Jeep show competitions
-- Vendor booths and merchandise
-- Beach driving (with permits)
-- Social gatherings and meetups
-- Awards ceremonies
-- Live entertainment
-
-CONTACT INFORMATION:
-- Official website: jeepbeach.com
-- For questions, contact through the website or social media
-- Check the FAQ section for common questions and answers`;
-  }
-}
-
-// LLM integration utilities
-class LLMProvider {
-  constructor(apiKey, provider = 'openai') {
-    this.apiKey = apiKey;
-    this.provider = provider;
-    this.baseUrl = this.getBaseUrl(provider);
-  }
-
-  getBaseUrl(provider) {
-    switch (provider) {
-      case 'openai':
-        return 'https://api.openai.com/v1';
-      case 'anthropic':
-        return 'https://api.anthropic.com/v1';
-      default:
-        return 'https://api.openai.com/v1';
-    }
-  }
-
-  // Generate draft reply using LLM
-  async generateDraft(emailContext, jeepBeachText, tone, fallbackMessage, existingDraft = null) {
-    if (!this.apiKey) {
-      throw new Error('API key not configured');
-    }
-
-    const systemPrompt = this.buildSystemPrompt(!!existingDraft);
-    const userPrompt = this.buildUserPrompt(emailContext, jeepBeachText, tone, fallbackMessage, existingDraft);
-
     try {
-      const response = await this.callLLM(systemPrompt, userPrompt);
-      return this.extractDraftFromResponse(response);
+      await this.storage.initializeSettings();
     } catch (error) {
-      console.error('LLM generation error:', error);
-      throw error;
-    }
-  }
-
-  // Build system prompt
-  buildSystemPrompt(isRewriteMode = false) {
-    if (isRewriteMode) {
-      return `You are a helpful support assistant rewriting email replies to be more user-friendly and professional.
-STRICT RULES:
-- Preserve the core message and intent of the original text.
-- Make it sound warm, friendly, and thoughtful - like a real human wrote it.
-- Keep the same factual content but improve tone, clarity, and friendliness.
-- Maintain brevity (2–4 sentences) unless more detail is warranted.
-- Remove any harsh, terse, or cold language.
-- Add appropriate empathy and understanding where it fits naturally.
-- Don't add information that wasn't in the original message.`;
+      console.error('Error initializing settings:', error);
     }
-
-    return `You are a helpful support assistant drafting replies for Jeep Beach emails.
-STRICT RULES:
-- Use ONLY information grounded in the provided JeepBeach snippets.
-- If the answer isn't present, use the provided fallback pattern.
-- Keep the reply concise (2–4 sentences), friendly, and helpful.
-- Do not invent dates, prices, policies, or guarantees.
-- End with one human contact path: "If you need a hand, reply here."`;
   }
 
-  // Build user prompt
-  buildUserPrompt(emailContext, jeepBeachText, tone, fallbackMessage, existingDraft = null) {
-    if (existingDraft) {
-      return `Email they sent:
----
-${emailContext}
----
-
-Draft response to rewrite:
----
-${existingDraft}
----
-
-Desired tone: ${tone}
-
-Rewrite the draft response to be more ${tone}, friendly, and professional. Use the email context ONLY to understand what's being discussed so you can make the grammar and phrasing natural (e.g., "No we don't have those events" vs generic "I must decline").
-
-Rules:
-- Keep the SAME meaning and answer from the draft
-- Make it sound warm and human
-- Don't change what the draft is saying - just improve how it's said
-- Don't add new information that wasn't in the original draft
-- Use the context to make phrasing specific and natural, not generic
-
-Return only the rewritten text.`;
-    }
-
-    return `Email to reply to:
----
-${emailContext}
----
-
-JeepBeach site knowledge (snippets):
----
-${jeepBeachText}
----
-
-Tone: ${tone}
-
-Instructions:
-1. Read the email carefully to understand what the person is asking
-2. Look through the JeepBeach snippets for relevant information to answer their question
-3. If you find relevant information, write a helpful reply using that information
-4. If you cannot find any relevant information in the snippets, use this exact fallback message: "${fallbackMessage}"
-5. Keep the reply concise (2-4 sentences)
-6. Be friendly and helpful
-7. Do NOT repeat the fallback message multiple times
-8. Return only the email body, no greetings/headers unless the email clearly expects it
-
-Write your reply:`;
+  setupMessageListener() {
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+      this.handleMessage(request, sender, sendResponse);
+      return true; // Keep message channel open for async responses
+    });
   }
 
+  setupRefreshAlarm() {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === this.refreshAlarmName) {
+        this.refreshSiteCache();
+      }
+    });
 
-  // Call the LLM API
-  async callLLM(systemPrompt, userPrompt) {
-    const requestBody = this.buildRequestBody(systemPrompt, userPrompt);
+    // Reschedule when the interval changes, refresh right away when the sources change
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync') return;
 
-    const response = await fetch(`${this.baseUrl}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(requestBody)
+      if (changes.refreshIntervalHours) {
+        this.scheduleRefresh(true);
+      }
+      if (changes.jeepBeachUrls || changes.crawlSettings) {
+        this.refreshSiteCache();
+      }
     });
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`LLM API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-    }
-
-    return await response.json();
+    this.scheduleRefresh();
   }
 
-  // Build request body based on provider
-  buildRequestBody(systemPrompt, userPrompt) {
-    switch (this.provider) {
-      case 'openai':
-        return {
-          model: 'gpt-4o-mini',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          max_tokens: 250,
-          temperature: 0.5
-        };
-      case 'anthropic':
-        return {
-          model: 'claude-3-haiku-20240307',
-          max_tokens: 250,
-          temperature: 0.5,
-          system: systemPrompt,
-          messages: [
-            { role: 'user', content: userPrompt }
-          ]
-        };
-      default:
-        return {
-          model: 'gpt-4o-mini',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          max_tokens: 250,
-          temperature: 0.5
-        };
+  // Create the periodic alarm (re-creating resets its timer, so only do it when needed)
+  async scheduleRefresh(reset = false) {
+    try {
+      const settings = await this.storage.getSyncData();
+      const periodInMinutes = Math.max(1, settings.refreshIntervalHours || 4) * 60;
+      const existing = await chrome.alarms.get(this.refreshAlarmName);
+
+      if (reset || !existing || existing.periodInMinutes !== periodInMinutes) {
+        await chrome.alarms.create(this.refreshAlarmName, {
+          delayInMinutes: periodInMinutes,
+          periodInMinutes: periodInMinutes
+        });
+      }
+    } catch (error) {
+      console.error('Error scheduling site cache refresh:', error);
     }
   }
 
-  // Extract draft from LLM response
-  extractDraftFromResponse(response) {
-    if (!response || !response.choices || response.choices.length === 0) {
-      throw new Error('Invalid LLM response');
-    }
-
-    const choice = response.choices[0];
-    const content = choice.message?.content || choice.text || '';
-
-    if (!content.trim()) {
-      throw new Error('Empty response from LLM');
+  async refreshSiteCache() {
+    try {
+      const settings = await this.storage.getSyncData();
+      return await this.siteScraper.getKnowledgeIndex(settings, true);
+    } catch (error) {
+      console.error('Scheduled site cache refresh failed:', error);
+      return null;
     }
-
-    return content.trim();
   }
 
-  // Test LLM connection
-  async testConnection() {
-    if (!this.apiKey) {
-      throw new Error('API key not configured');
-    }
+  // Drafts stream over a long-lived port; the content script disconnects it to stop
+  setupDraftPort() {
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name !== 'jb-draft') return;
 
-    try {
-      const testPrompt = 'Say "Hello, this is a test."';
-      const response = await this.callLLM('You are a helpful assistant.', testPrompt);
-      return this.extractDraftFromResponse(response);
-    } catch (error) {
-      throw new Error(`LLM test failed: ${error.message}`);
-    }
+      const controller = new AbortController();
+      port.onDisconnect.addListener(() => controller.abort());
+      port.onMessage.addListener((request) => {
+        if (request.type === 'JB_DRAFT_REQUEST') {
+          this.handleDraftRequest(request, port, controller.signal);
+        }
+      });
+    });
   }
-}
 
-// Background service worker for JeepBeach Auto-Draft
-class JeepBeachBackground {
-  constructor() {
-    this.storage = new StorageManager();
-    this.contentProvider = new JeepBeachContentProvider();
-    this.llmProvider = null;
+  // Keyboard shortcuts from the manifest "commands" go to the Gmail tab they were pressed in
+  setupCommands() {
+    chrome.commands.onCommand.addListener(async (command, tab) => {
+      try {
+        const target = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+        if (!target || !(target.url || '').startsWith('https://mail.google.com/')) return;
 
-    this.setupMessageListener();
-    this.initializeSettings();
+        await chrome.tabs.sendMessage(target.id, { type: 'JB_COMMAND', command: command });
+      } catch (error) {
+        console.warn('Could not send shortcut to Gmail:', error);
+      }
+    });
   }
 
-  async initializeSettings() {
+  // The content script may have hung up (Stop, tab closed) before we finish
+  postToPort(port, message) {
     try {
-      await this.storage.initializeSettings();
+      port.postMessage(message);
     } catch (error) {
-      console.error('Error initializing settings:', error);
+      console.log('Draft port closed, dropping message:', message.type);
     }
   }
 
-  setupMessageListener() {
-    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      this.handleMessage(request, sender, sendResponse);
-      return true; // Keep message channel open for async responses
-    });
-  }
-
   async handleMessage(request, sender, sendResponse) {
     try {
       switch (request.type) {
-        case 'JB_DRAFT_REQUEST':
-          await this.handleDraftRequest(request, sender, sendResponse);
-          break;
         case 'JB_FETCH_CONTEXT':
           await this.handleFetchContext(request, sender, sendResponse);
           break;
@@ -389,7 +153,7 @@ class JeepBeachBackground {
     }
   }
 
-  async handleDraftRequest(request, sender, sendResponse) {
+  async handleDraftRequest(request, port, signal) {
     try {
       console.log('Handling draft request:', request);
 
@@ -397,11 +161,8 @@ class JeepBeachBackground {
       const settings = await this.storage.getSyncData();
       console.log('Settings loaded:', settings);
 
-      // Initialize LLM provider
-      this.llmProvider = new LLMProvider(settings.apiKey);
-
-      // Get email context (use Gmail API if enabled, otherwise use provided context)
-      let emailContext = request.emailContext;
+      // Get email context (use Gmail API if enabled, otherwise the DOM thread transcript)
+      let emailContext = request.thread && request.thread.length > 0 ? request.thread : request.emailContext;
       if (settings.useGmailApi && request.threadId) {
         try {
           emailContext = await this.fetchGmailContext(request.threadId);
@@ -413,43 +174,239 @@ class JeepBeachBackground {
 
       console.log('Email context:', emailContext);
 
-      // Only fetch JeepBeach content if we're generating a new draft (not rewriting)
-      let jeepBeachContent = '';
-      if (!request.isRewriteMode) {
-        jeepBeachContent = this.contentProvider.getJeepBeachContent();
-        console.log('JeepBeach content length:', jeepBeachContent.length);
-        console.log('JeepBeach content preview:', jeepBeachContent.substring(0, 500));
+      // New drafts are sorted into a category that can pick the profile, sources and fallback
+      const route = await this.getIntentRoute(request, port, signal, emailContext, settings);
+
+      // A profile picked on the compose button wins, then the category's profile, then the From alias
+      const profiles = await this.storage.getProfiles();
+      const profile = Profiles.resolve(profiles, request.profileId || (route && route.profileId), request.fromAddress);
+      const profileSettings = Profiles.apply(settings, profile);
+      if (route) {
+        profileSettings.fallbackMessage = route.fallbackMessage || profileSettings.fallbackMessage;
+        profileSettings.preferredUrls = [...profileSettings.preferredUrls, ...route.preferredUrls];
+      }
+      console.log('Profile:', profile ? profile.name : 'default', 'category:', route ? route.id : 'none');
+
+      // New drafts get the profile's sign-off appended, so the model shouldn't write its own
+      const extraRules = [
+        profileSettings.rules,
+        !request.isRewriteMode && profileSettings.signature ? "- Don't end with a sign-off or signature; one is added automatically." : null
+      ].filter(Boolean).join('\n');
+
+      // Initialize LLM provider (prompt template overrides are in local storage)
+      settings.promptTemplates = await this.storage.getPromptTemplates();
+      this.llmProvider = LLMProvider.fromSettings(settings, extraRules);
+
+      // Only retrieve JeepBeach knowledge if we're generating a new draft (not rewriting)
+      let knowledgeChunks = [];
+      if (route && route.skipKnowledge) {
+        console.log(`${route.label}: skipping JeepBeach content fetch`);
+      } else if (!request.isRewriteMode) {
+        knowledgeChunks = await this.getRelevantKnowledge(this.getSearchQuery(emailContext, request), settings, profileSettings.preferredUrls);
+        console.log('Relevant knowledge chunks:', knowledgeChunks.map(chunk => `${chunk.id} (${chunk.score.toFixed(2)})`));
       } else {
         console.log('Rewrite mode: skipping JeepBeach content fetch');
       }
 
-      // Generate draft
-      console.log(request.isRewriteMode ? 'Rewriting draft with LLM...' : 'Generating draft with LLM...');
-      const draft = await this.llmProvider.generateDraft(
-        emailContext,
-        jeepBeachContent,
-        settings.tone,
-        settings.fallbackMessage,
-        request.existingDraft || null
-      );
+      // Generate draft (or several alternatives to choose from)
+      const stream = {
+        signal: signal,
+        onToken: (text) => this.postToPort(port, { type: 'JB_DRAFT_TOKEN', composeId: request.composeId, text: text })
+      };
+      const variantCount = Math.min(Math.max(parseInt(request.variantCount, 10) || 1, 1), 4);
+
+      console.log(request.isRewriteMode ? 'Rewriting draft with LLM...' : 'Generating draft with LLM...', 'variants:', variantCount);
+      // Named rewrite actions (Shorten, Translate, custom...) each have their own instruction
+      let rewriteAction = null;
+      if (request.isRewriteMode && request.rewriteAction) {
+        rewriteAction = RewriteActions.resolve(request.rewriteAction, await this.storage.getCustomRewriteActions(), {
+          tone: profileSettings.tone,
+          language: request.rewriteLanguage
+        });
+        if (!rewriteAction) {
+          throw new Error('That rewrite action no longer exists. Check the Rewrite Actions settings.');
+        }
+        rewriteAction.selection = !!request.rewriteSelection;
+      }
+
+      let result;
+      if (variantCount > 1) {
+        result = await this.llmProvider.generateVariants(
+          emailContext,
+          knowledgeChunks,
+          profileSettings.tone,
+          profileSettings.fallbackMessage,
+          request.existingDraft || null,
+          variantCount,
+          stream,
+          rewriteAction
+        );
+        result.draft = result.variants[0].draft;
+        result.sources = result.variants[0].sources;
+      } else if (settings.structuredOutput && !request.isRewriteMode) {
+        // Reply plus metadata (fallback used, confidence, follow-ups) as validated JSON; not streamed
+        result = await this.llmProvider.generateStructuredDraft(
+          emailContext,
+          knowledgeChunks,
+          profileSettings.tone,
+          profileSettings.fallbackMessage,
+          Intents.getCategories().map(category => category.id)
+        );
+      } else {
+        result = await this.llmProvider.generateDraft(
+          emailContext,
+          knowledgeChunks,
+          profileSettings.tone,
+          profileSettings.fallbackMessage,
+          request.existingDraft || null,
+          stream,
+          rewriteAction
+        );
+      }
+
+      // Flag dates, times, prices and URLs that nothing we gave the model backs up
+      const references = [
+        ...knowledgeChunks.flatMap(chunk => [chunk.url, chunk.heading, chunk.text]),
+        typeof emailContext === 'string' ? emailContext : emailContext.map(message => `${message.subject || ''}\n${message.body}`).join('\n\n'),
+        profileSettings.fallbackMessage,
+        request.existingDraft
+      ];
+      result.unverified = Grounding.check(result.draft, references);
+      (result.variants || []).forEach(variant => {
+        variant.unverified = Grounding.check(variant.draft, references);
+      });
+
+      // New drafts end with the profile's sign-off; rewrites keep whatever the text already has
+      if (!request.isRewriteMode && profileSettings.signature) {
+        result.draft = Profiles.addSignature(result.draft, profileSettings.signature);
+        (result.variants || []).forEach(variant => {
+          variant.draft = Profiles.addSignature(variant.draft, profileSettings.signature);
+        });
+      }
 
-      console.log('Generated draft:', draft);
+      console.log('Generated draft:', result.draft, 'truncated:', result.truncated);
 
-      // Send response back to content script
-      chrome.tabs.sendMessage(sender.tab.id, {
+      // Send the final draft back to the content script
+      this.postToPort(port, {
         type: 'JB_DRAFT_RESPONSE',
-        draft: draft
+        composeId: request.composeId,
+        draft: result.draft,
+        truncated: result.truncated,
+        variants: result.variants || null,
+        sources: result.sources || [],
+        unverified: result.unverified,
+        usedFallback: typeof result.usedFallback === 'boolean' ? result.usedFallback : null,
+        confidence: typeof result.confidence === 'number' ? result.confidence : null,
+        followUpQuestions: result.followUpQuestions || [],
+        category: route ? null : result.category || null,
+        isRewriteMode: !!request.isRewriteMode,
+        profileName: profile ? profile.name : null
       });
 
     } catch (error) {
+      if (signal.aborted) {
+        console.log('Draft generation stopped');
+        return;
+      }
+
       console.error('Error generating draft:', error);
-      chrome.tabs.sendMessage(sender.tab.id, {
+      this.postToPort(port, {
         type: 'JB_DRAFT_ERROR',
+        composeId: request.composeId,
         error: error.message
       });
     }
   }
 
+  // Work out what a new email is about so the draft uses that category's profile, sources and fallback.
+  // A category already set on the compose chip is used as is; a low-confidence guess asks the user
+  async getIntentRoute(request, port, signal, emailContext, settings) {
+    if (request.isRewriteMode || settings.classifyIntent === false) return null;
+
+    let category = Intents.find(request.intent) ? request.intent : null;
+    let confidence = 1;
+    if (!category) {
+      try {
+        const result = await LLMProvider.fromSettings(settings).classifyIntent(emailContext, Intents.getCategories());
+        category = result.category;
+        confidence = result.confidence;
+        console.log('Classified email:', result);
+      } catch (error) {
+        console.warn('Intent classification failed, asking the user:', error);
+      }
+    }
+
+    const threshold = Number.isFinite(settings.intentConfidence) ? settings.intentConfidence : 0.6;
+    const needsChoice = !category || confidence < threshold;
+    this.postToPort(port, {
+      type: 'JB_DRAFT_INTENT',
+      composeId: request.composeId,
+      category: category,
+      confidence: confidence,
+      needsChoice: needsChoice
+    });
+
+    if (needsChoice) {
+      category = await this.waitForIntentChoice(port, signal);
+    }
+    return Intents.getRoute(category, await this.storage.getIntentRoutes());
+  }
+
+  // Resolves with the category picked on the compose chip; rejects when the draft is stopped
+  waitForIntentChoice(port, signal) {
+    return new Promise((resolve, reject) => {
+      // Stop may have been pressed while the email was being classified
+      if (signal.aborted) {
+        reject(new Error('Draft generation stopped'));
+        return;
+      }
+
+      const handleAbort = () => {
+        port.onMessage.removeListener(handleChoice);
+        reject(new Error('Draft generation stopped'));
+      };
+      const handleChoice = (message) => {
+        if (message.type === 'JB_DRAFT_INTENT_CHOICE' && Intents.find(message.category)) {
+          port.onMessage.removeListener(handleChoice);
+          signal.removeEventListener('abort', handleAbort);
+          resolve(message.category);
+        }
+      };
+      port.onMessage.addListener(handleChoice);
+      signal.addEventListener('abort', handleAbort, { once: true });
+    });
+  }
+
+  // Text used to search the knowledge base: the sender's latest message
+  getSearchQuery(emailContext, request) {
+    if (typeof emailContext === 'string') {
+      return emailContext;
+    }
+
+    const inbound = emailContext.filter(message => !message.isOwn);
+    if (inbound.length > 0) {
+      return inbound[inbound.length - 1].body;
+    }
+
+    return request.emailContext || emailContext.map(message => message.body).join('\n');
+  }
+
+  // Pick the knowledge chunks that best match the email
+  // Team snippets come first so they take priority over scraped site text;
+  // preferredUrls (from the active profile) boosts pages under those addresses
+  async getRelevantKnowledge(emailContext, settings, preferredUrls = []) {
+    const snippets = await this.storage.getActiveSnippets();
+    const snippetChunks = KnowledgeIndex.fromSnippets(snippets).search(emailContext, 3, 2500);
+
+    const index = await this.siteScraper.getKnowledgeIndex(settings);
+    if (index.isEmpty()) {
+      console.warn('Knowledge index is empty - check the JeepBeach source URLs in settings');
+    }
+
+    const siteChunks = index.search(emailContext, 6 - snippetChunks.length, 4000, preferredUrls);
+    return [...snippetChunks, ...siteChunks];
+  }
+
   async handleFetchContext(request, sender, sendResponse) {
     try {
       if (!request.threadId) {
@@ -467,10 +424,18 @@ class JeepBeachBackground {
 
   async handleRefreshSiteCache(request, sender, sendResponse) {
     try {
-      const content = this.contentProvider.getJeepBeachContent();
-      await this.storage.setSiteCache(content);
+      const settings = await this.storage.getSyncData();
+      const index = await this.siteScraper.getKnowledgeIndex(settings, true);
+
+      if (index.isEmpty()) {
+        throw new Error('No content could be fetched from the configured source URLs');
+      }
 
-      sendResponse({ success: true, message: 'Content refreshed successfully' });
+      const cache = await this.storage.getSiteCache();
+      const failed = cache.pages.filter(page => page.status === 'error').length;
+      const failedNote = failed > 0 ? `, ${failed} page(s) failed - using last good copy` : '';
+
+      sendResponse({ success: true, message: `Content refreshed successfully (${index.chunks.length} sections indexed${failedNote})` });
 
     } catch (error) {
       console.error('Error refreshing content:', error);
@@ -482,11 +447,7 @@ class JeepBeachBackground {
     try {
       const settings = await this.storage.getSyncData();
 
-      if (!settings.apiKey) {
-        throw new Error('API key not configured');
-      }
-
-      this.llmProvider = new LLMProvider(settings.apiKey);
+      this.llmProvider = LLMProvider.fromSettings(settings);
       const testResponse = await this.llmProvider.testConnection();
 
       sendResponse({ success: true, response: testResponse });
@@ -497,13 +458,15 @@ class JeepBeachBackground {
     }
   }
 
+  // Fetch the whole thread in one request (format=full already includes every payload)
+  // Returns [{ id, senderName, senderEmail, recipients, timestamp, subject, body, isOwn, collapsed }], oldest first
   async fetchGmailContext(threadId) {
     try {
       // Get OAuth token
       const token = await this.getGmailToken();
 
       // Fetch thread details
-      const response = await fetch(`https://gmail.googleapis.com/gmail/v1/users/me/threads/${threadId}`, {
+      const response = await fetch(`https://gmail.googleapis.com/gmail/v1/users/me/threads/${threadId}?format=full`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -515,43 +478,16 @@ class JeepBeachBackground {
 
       const thread = await response.json();
 
-      // Get the most recent inbound message
       const messages = thread.messages || [];
       if (messages.length === 0) {
         throw new Error('No messages found in thread');
       }
 
-      // Find the most recent inbound message (not sent by us)
-      let inboundMessage = null;
-      for (let i = messages.length - 1; i >= 0; i--) {
-        const message = messages[i];
-        if (message.labelIds && !message.labelIds.includes('SENT')) {
-          inboundMessage = message;
-          break;
-        }
-      }
-
-      if (!inboundMessage) {
+      if (!messages.some(message => !(message.labelIds || []).includes('SENT'))) {
         throw new Error('No inbound messages found');
       }
 
-      // Get message details
-      const messageResponse = await fetch(`https://gmail.googleapis.com/gmail/v1/users/me/messages/${inboundMessage.id}`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      });
-
-      if (!messageResponse.ok) {
-        throw new Error(`Gmail API error: ${messageResponse.status}`);
-      }
-
-      const messageData = await messageResponse.json();
-
-      // Extract text content from message body
-      const body = this.extractMessageBody(messageData);
-
-      return body;
+      return messages.map(message => this.parseGmailMessage(message));
 
     } catch (error) {
       console.error('Error fetching Gmail context:', error);
@@ -559,25 +495,60 @@ class JeepBeachBackground {
     }
   }
 
+  // Convert a Gmail API message resource into a thread entry
+  parseGmailMessage(message) {
+    const headers = message.payload?.headers || [];
+    const getHeader = (name) => {
+      const header = headers.find(item => item.name.toLowerCase() === name.toLowerCase());
+      return header ? header.value : '';
+    };
+    const from = this.parseAddress(getHeader('From'));
+
+    return {
+      id: message.id,
+      senderName: from.name,
+      senderEmail: from.email,
+      recipients: [...this.parseAddressList(getHeader('To')), ...this.parseAddressList(getHeader('Cc'))],
+      timestamp: getHeader('Date'),
+      subject: getHeader('Subject'),
+      body: this.extractMessageBody(message),
+      isOwn: (message.labelIds || []).includes('SENT'),
+      collapsed: false
+    };
+  }
+
+  // Split '"Name" <email>' into its parts
+  parseAddress(value) {
+    const match = (value || '').match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+    if (match) {
+      return { name: match[1].trim(), email: match[2].trim().toLowerCase() };
+    }
+    return { name: '', email: (value || '').trim().toLowerCase() };
+  }
+
+  // Split a To/Cc header into addresses; commas inside quoted names don't separate
+  parseAddressList(value) {
+    return ((value || '').match(/(?:"[^"]*"|[^,])+/g) || [])
+      .map(address => this.parseAddress(address))
+      .filter(address => address.email);
+  }
+
   extractMessageBody(messageData) {
     try {
-      const parts = messageData.payload?.parts || [];
+      const payload = messageData.payload;
+      if (!payload) {
+        return 'No message body found';
+      }
 
-      // Look for text/plain or text/html parts
-      for (const part of parts) {
-        if (part.mimeType === 'text/plain' && part.body?.data) {
-          return this.decodeBase64Url(part.body.data);
-        }
-        if (part.mimeType === 'text/html' && part.body?.data) {
-          const html = this.decodeBase64Url(part.body.data);
-          return this.stripHtml(html);
-        }
+      // Prefer text/plain anywhere in the MIME tree, then text/html
+      const plainPart = this.findMimePart(payload, 'text/plain');
+      if (plainPart) {
+        return this.stripQuotedText(this.decodeBase64Url(plainPart.body.data));
       }
 
-      // Check if there's a direct body
-      if (messageData.payload?.body?.data) {
-        const text = this.decodeBase64Url(messageData.payload.body.data);
-        return this.stripHtml(text);
+      const htmlPart = this.findMimePart(payload, 'text/html');
+      if (htmlPart) {
+        return this.stripQuotedText(this.stripHtml(this.decodeBase64Url(htmlPart.body.data)));
       }
 
       return 'No message body found';
@@ -588,6 +559,27 @@ class JeepBeachBackground {
     }
   }
 
+  // Depth-first search through nested multipart/* parts, skipping attachments
+  findMimePart(part, mimeType) {
+    if (!part || part.filename) return null;
+
+    if (part.mimeType === mimeType && part.body?.data) {
+      return part;
+    }
+
+    for (const child of part.parts || []) {
+      const found = this.findMimePart(child, mimeType);
+      if (found) return found;
+    }
+
+    return null;
+  }
+
+  // Each thread message is sent separately, so drop the quoted history inside it
+  stripQuotedText(text) {
+    return HtmlToText.stripQuotedText(text);
+  }
+
   decodeBase64Url(str) {
     try {
       // Convert base64url to base64
@@ -605,23 +597,12 @@ class JeepBeachBackground {
     }
   }
 
+  // DOMParser isn't available in the service worker, so use the tokenizer-based converter
   stripHtml(html) {
     try {
-      // Create a temporary DOM element
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
-
-      // Remove script and style elements
-      const scripts = doc.querySelectorAll('script, style');
-      scripts.forEach(el => el.remove());
-
-      // Get text content
-      let text = doc.body ? doc.body.textContent : '';
-
-      // Clean up whitespace
-      text = text.replace(/\s+/g, ' ').trim();
-
-      return text;
+      return new HtmlToText({
+        skipClasses: ['gmail_quote', 'gmail_extra', 'gmail_signature']
+      }).convert(html);
     } catch (error) {
       console.error('Error stripping HTML:', error);
       return html;
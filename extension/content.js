@@ -1,10 +1,18 @@
 // Content script for Gmail integration
 class JeepBeachContentScript {
-  constructor() {
+  // draftStreams carries in-flight drafts over from the previous instance after Gmail navigates
+  constructor(draftStreams = new Map()) {
     this.gmailDOM = null;
-    this.floatingButton = null;
+    this.composeButtons = new Map(); // composeId -> button group
+    this.savedRanges = new Map(); // composeId -> last cursor position in that compose box
+    this.rewriteRanges = new Map(); // composeId -> selection being rewritten
+    this.lastTranslateLanguage = 'Spanish';
+    this.draftPreview = null;
+    this.commandPalette = null;
+    this.paletteComposeId = null; // compose window the palette was opened for
+    this.shortcuts = Shortcuts.resolve(); // actionId -> key, replaced by the saved bindings in setup
+    this.draftStreams = draftStreams; // composeId -> { port, kind, text, owner }
     this.observer = null;
-    this.isProcessing = false;
 
     this.init();
   }
@@ -22,41 +30,493 @@ class JeepBeachContentScript {
     // Initialize GmailDOM utility
     this.gmailDOM = new GmailDOM();
 
-    // Create floating button
-    this.createFloatingButton();
+    // Drafts are previewed first; nothing is written to the compose box until an action is picked
+    this.draftPreview = new DraftPreview({
+      onAction: (action, composeId, text, entry) => this.handlePreviewAction(action, composeId, text, entry)
+    });
+
+    // Take over streams that were still running when the script re-initialized
+    this.draftStreams.forEach((stream, composeId) => {
+      stream.owner = this;
+      this.draftPreview.startStream(composeId, stream);
+      this.draftPreview.updateStream(composeId, stream.text);
+    });
+
+    // Remember the cursor in each compose box, since clicking our button moves focus
+    this.handleSelectionChange = () => this.saveComposeSelection();
+    document.addEventListener('selectionchange', this.handleSelectionChange);
+
+    this.commandPalette = new CommandPalette({
+      onSelect: (commandId) => this.runCommand(commandId, this.paletteComposeId)
+    });
+    this.setupShortcuts();
 
     // Set up mutation observer to watch for compose box changes
     this.setupMutationObserver();
 
-    // Initial check for compose box
-    this.checkComposeBox();
+    // Initial check for compose boxes
+    this.checkComposeBoxes();
+  }
 
-    // Listen for messages from background script
-    this.setupMessageListener();
+  // The in-page listener handles the keys from the options page; browser-level shortcuts the user
+  // assigned in Chrome arrive from the service worker. Capture phase so Gmail's own handlers don't see our keys
+  setupShortcuts() {
+    this.handleShortcutKey = (e) => this.onShortcutKey(e);
+    window.addEventListener('keydown', this.handleShortcutKey, true);
+
+    this.handleRuntimeMessage = (message) => {
+      if (message && message.type === 'JB_COMMAND') {
+        this.runCommand(message.command);
+      }
+    };
+    chrome.runtime.onMessage.addListener(this.handleRuntimeMessage);
+
+    this.handleStorageChange = (changes, areaName) => {
+      if (areaName === 'sync' && changes.shortcuts) {
+        this.shortcuts = Shortcuts.resolve(changes.shortcuts.newValue);
+      }
+    };
+    chrome.storage.onChanged.addListener(this.handleStorageChange);
+
+    this.getSettings().then(settings => {
+      this.shortcuts = Shortcuts.resolve(settings.shortcuts);
+    });
+  }
+
+  onShortcutKey(e) {
+    if (e.repeat || !(e.ctrlKey || e.altKey || e.metaKey)) return;
+
+    const key = Shortcuts.fromEvent(e);
+    const actionId = key && Object.keys(this.shortcuts).find(id => this.shortcuts[id] === key);
+    if (!actionId) return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    this.runCommand(actionId);
   }
 
-  createFloatingButton() {
-    // Remove existing button if any
-    const existingButton = document.getElementById('jeepbeach-draft-button');
-    if (existingButton) {
-      existingButton.remove();
+  // Commands act on the compose window with focus, then the one being previewed
+  getTargetComposeId() {
+    const focused = this.gmailDOM.getComposeBoxes().find(box => box.contains(document.activeElement));
+    const previewed = this.draftPreview.composeId && this.gmailDOM.findComposeBox(this.draftPreview.composeId);
+    const composeBox = focused || previewed || this.gmailDOM.getActiveComposeBox();
+    return composeBox ? this.gmailDOM.getComposeId(composeBox) : null;
+  }
+
+  // Run a shortcut or palette command: an action id from Shortcuts, 'variants',
+  // or 'rewrite:<id>', 'snippet:<id>', 'quick:<id>', 'profile:<id>'
+  async runCommand(commandId, composeId = null) {
+    if (commandId === 'palette') {
+      this.showCommandPalette();
+      return;
+    }
+
+    if (commandId === 'quick-reply') {
+      this.showQuickReplyPicker(this.getTargetComposeId());
+      return;
+    }
+
+    if (commandId === 'cancel' && this.commandPalette.isOpen()) {
+      this.commandPalette.hide();
+      return;
     }
 
-    // Create new button
-    this.floatingButton = this.gmailDOM.createFloatingButton();
+    // Preview commands work on whatever the panel shows
+    const previewCommands = {
+      accept: ['accept', 'No draft preview to accept'],
+      'cycle-variant': ['cycleVariant', 'The preview has no other variants'],
+      cancel: ['cancel', 'Nothing to cancel']
+    };
+    if (previewCommands[commandId]) {
+      const [method, emptyMessage] = previewCommands[commandId];
+      if (!this.draftPreview[method]()) {
+        this.gmailDOM.showToast(emptyMessage, 'info');
+      }
+      return;
+    }
+
+    if (!composeId || !this.gmailDOM.findComposeBox(composeId)) {
+      composeId = this.getTargetComposeId();
+    }
+    if (!composeId) {
+      this.gmailDOM.showToast('Open a reply or compose window first', 'warning');
+      return;
+    }
+
+    const separator = commandId.indexOf(':');
+    const kind = separator === -1 ? commandId : commandId.slice(0, separator);
+    const itemId = separator === -1 ? null : commandId.slice(separator + 1);
+    const settings = await this.getSettings();
+
+    switch (kind) {
+      case 'draft':
+        this.handleDraftRequest(composeId);
+        break;
+      case 'variants':
+        this.handleDraftRequest(composeId, { variantCount: settings.variantCount || 3 });
+        break;
+      case 'rewrite': {
+        if (!itemId) {
+          const composeBox = this.gmailDOM.findComposeBox(composeId);
+          if (!this.gmailDOM.getComposeBodyText(composeBox)) {
+            this.gmailDOM.showToast('Write something to rewrite first', 'info');
+            return;
+          }
+          this.handleDraftRequest(composeId);
+          break;
+        }
+        const action = RewriteActions.getActions(settings.customRewriteActions).find(item => item.id === itemId);
+        if (action) {
+          this.handleRewriteAction(composeId, action);
+        }
+        break;
+      }
+      case 'snippet':
+        this.insertSnippet(composeId, itemId);
+        break;
+      case 'quick':
+        this.insertQuickReply(composeId, itemId);
+        break;
+      case 'profile': {
+        this.setComposeProfile(composeId, itemId);
+        const profile = Profiles.find(settings.profiles, itemId);
+        this.gmailDOM.showToast(`Drafting as ${profile ? profile.name : 'default settings'}`, 'info');
+        break;
+      }
+      default:
+        console.warn('Unknown command:', commandId);
+    }
+  }
+
+  async showCommandPalette() {
+    const settings = await this.getSettings();
+    const storage = new StorageManager();
+    const snippets = await storage.getActiveSnippets();
+    const quickReplies = await storage.getQuickReplies();
+    const profiles = settings.profiles || [];
+    const actionInfo = Object.fromEntries(Shortcuts.getActions().map(action => [action.id, action]));
+    const command = (id, label = actionInfo[id].label) => ({
+      id: id,
+      label: label,
+      title: actionInfo[id] && actionInfo[id].description,
+      shortcut: Shortcuts.format(this.shortcuts[id])
+    });
+
+    const previewItems = this.draftPreview.panel
+      ? [command('accept'), command('cycle-variant'), command('cancel')]
+      : [];
+
+    this.paletteComposeId = this.getTargetComposeId();
+    this.commandPalette.show([
+      ...previewItems,
+      command('draft'),
+      { id: 'variants', label: `Generate ${settings.variantCount || 3} variants`, title: 'Get several alternative drafts, each taking a different approach' },
+      command('rewrite'),
+      ...RewriteActions.getActions(settings.customRewriteActions).map(action => ({
+        id: `rewrite:${action.id}`,
+        group: 'Rewrite',
+        label: action.label,
+        title: 'Rewrite the selected text, or the whole message if nothing is selected'
+      })),
+      ...this.getQuickReplyItems(quickReplies),
+      ...snippets.map(snippet => ({
+        id: `snippet:${snippet.id}`,
+        group: 'Insert snippet',
+        label: snippet.title,
+        title: snippet.body
+      })),
+      ...(profiles.length === 0 ? [] : [
+        { id: 'profile:default', group: 'Profile', label: 'Default settings', title: 'Use the global tone and fallback message' },
+        ...profiles.map(profile => ({ id: `profile:${profile.id}`, group: 'Profile', label: profile.name, title: `Draft as ${profile.name}` }))
+      ])
+    ]);
+  }
+
+  getQuickReplyItems(quickReplies) {
+    return quickReplies.map(reply => ({
+      id: `quick:${reply.id}`,
+      group: 'Quick reply',
+      label: reply.tags && reply.tags.length ? `${reply.title} (${reply.tags.join(', ')})` : reply.title,
+      title: reply.body
+    }));
+  }
 
-    // Add click handler
-    this.floatingButton.addEventListener('click', (e) => {
+  // Search the saved quick replies; picking one inserts it without calling the model
+  async showQuickReplyPicker(composeId) {
+    if (!composeId) {
+      this.gmailDOM.showToast('Open a reply or compose window first', 'warning');
+      return;
+    }
+
+    const quickReplies = await new StorageManager().getQuickReplies();
+    if (quickReplies.length === 0) {
+      this.gmailDOM.showToast('No quick replies yet - add them in the extension settings', 'info');
+      return;
+    }
+
+    this.paletteComposeId = composeId;
+    this.commandPalette.show(this.getQuickReplyItems(quickReplies), { placeholder: 'Search quick replies...' });
+  }
+
+  // Fill in the reply's variables and put it at the cursor (or the end of the user's text)
+  async insertQuickReply(composeId, replyId) {
+    const composeBox = this.gmailDOM.findComposeBox(composeId);
+    const quickReplies = await new StorageManager().getQuickReplies();
+    const reply = quickReplies.find(item => item.id === replyId);
+    if (!composeBox || !reply) return;
+
+    const settings = await this.getSettings();
+    const values = QuickReplies.getValues(this.gmailDOM.getThreadMessages(), settings.eventDetails);
+    const { text, missing } = QuickReplies.render(reply.body, values);
+
+    if (!this.gmailDOM.insertDraft(composeBox, text, 'cursor', this.savedRanges.get(composeId))) {
+      this.gmailDOM.showToast('Failed to insert quick reply', 'error');
+    } else if (missing.length > 0) {
+      this.gmailDOM.showToast(`Inserted "${reply.title}" - fill in ${missing.map(name => `{{${name}}}`).join(', ')}`, 'warning');
+    } else {
+      this.gmailDOM.showToast(`Inserted "${reply.title}"`, 'success');
+    }
+  }
+
+  // Put a team snippet's text at the cursor (or the end of the user's text)
+  async insertSnippet(composeId, snippetId) {
+    const composeBox = this.gmailDOM.findComposeBox(composeId);
+    const snippets = await new StorageManager().getActiveSnippets();
+    const snippet = snippets.find(item => item.id === snippetId);
+    if (!composeBox || !snippet) return;
+
+    if (this.gmailDOM.insertDraft(composeBox, snippet.body, 'cursor', this.savedRanges.get(composeId))) {
+      this.gmailDOM.showToast(`Inserted "${snippet.title}"`, 'success');
+    } else {
+      this.gmailDOM.showToast('Failed to insert snippet', 'error');
+    }
+  }
+
+  // Give a compose window its own button, tied to it by compose id
+  createComposeButton(composeBox) {
+    const composeId = this.gmailDOM.getComposeId(composeBox);
+    const group = this.gmailDOM.createComposeButton(composeId);
+    const [button, menuButton] = group.querySelectorAll('button');
+
+    // Add click handlers
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.handleDraftRequest(composeId);
+    });
+
+    menuButton.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      this.handleDraftRequest();
+      this.showComposeMenu(composeId, menuButton);
     });
 
-    // Add to page
-    document.body.appendChild(this.floatingButton);
+    const intentChip = group.querySelector('.jeepbeach-intent-chip');
+    intentChip.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.showIntentMenu(composeId, intentChip);
+    });
 
-    // Initially hide
-    this.gmailDOM.toggleButtonVisibility(this.floatingButton, false);
+    this.gmailDOM.attachComposeButton(composeBox, group);
+    this.composeButtons.set(composeId, group);
+
+    // A request may still be running from before Gmail re-rendered the toolbar
+    this.setButtonState(composeId, composeBox.dataset.jeepbeachBusy || null);
+    this.updateProfileTitle(composeId);
+    this.updateIntentChip(composeId);
+  }
+
+  // The picked profile is kept on the compose box; without one, the email's category
+  // and then the From alias decide (the background resolves it the same way)
+  async getComposeProfile(composeId, settings = null) {
+    const composeBox = this.gmailDOM.findComposeBox(composeId);
+    if (!composeBox) return null;
+
+    settings = settings || await this.getSettings();
+    const route = Intents.getRoute(composeBox.dataset.jeepbeachIntent, settings.intentRoutes);
+    return Profiles.resolve(
+      settings.profiles,
+      composeBox.dataset.jeepbeachProfile || (route && route.profileId),
+      this.gmailDOM.getFromAddress(composeBox)
+    );
+  }
+
+  // Show which profile the button will draft as
+  async updateProfileTitle(composeId) {
+    const profile = await this.getComposeProfile(composeId);
+    const group = this.composeButtons.get(composeId);
+    if (group) {
+      group.querySelector('button').title = profile
+        ? `Generate a reply as ${profile.name}`
+        : 'Generate AI-powered reply for Jeep Beach inquiries';
+    }
+  }
+
+  async showComposeMenu(composeId, anchor) {
+    const settings = await this.getSettings();
+    const variantCount = settings.variantCount || 3;
+
+    const rewriteActions = RewriteActions.getActions(settings.customRewriteActions);
+    const profiles = settings.profiles || [];
+    const activeProfile = await this.getComposeProfile(composeId, settings);
+
+    // Profile choices only appear once at least one profile is set up
+    const profileItems = profiles.length === 0 ? [] : [
+      { id: 'profile:default', label: `${activeProfile ? '\u2003' : '✓'} Default settings`, title: 'Use the global tone and fallback message' },
+      ...profiles.map(profile => ({
+        id: `profile:${profile.id}`,
+        label: `${activeProfile && activeProfile.id === profile.id ? '✓' : '\u2003'} ${profile.name}`,
+        title: `Draft as ${profile.name}`
+      }))
+    ];
+
+    const items = [
+      {
+        id: 'quick-replies',
+        label: 'Quick replies...',
+        title: 'Insert a saved reply without calling the model'
+      },
+      {
+        id: 'variants',
+        label: `Generate ${variantCount} variants`,
+        title: 'Get several alternative drafts, each taking a different approach'
+      },
+      ...rewriteActions.map(action => ({
+        id: action.id,
+        label: action.label,
+        title: 'Rewrite the selected text, or the whole message if nothing is selected'
+      })),
+      ...profileItems
+    ];
+
+    this.gmailDOM.showMenu(anchor, items, (itemId) => {
+      if (itemId.startsWith('profile:')) {
+        this.setComposeProfile(composeId, itemId.slice('profile:'.length));
+        return;
+      }
+
+      if (itemId === 'variants') {
+        this.handleDraftRequest(composeId, { variantCount: variantCount });
+        return;
+      }
+
+      if (itemId === 'quick-replies') {
+        this.showQuickReplyPicker(composeId);
+        return;
+      }
+
+      const action = rewriteActions.find(item => item.id === itemId);
+      if (action) {
+        this.handleRewriteAction(composeId, action);
+      }
+    });
+  }
+
+  // Remember the profile for this compose window ('default' turns alias matching off)
+  setComposeProfile(composeId, profileId) {
+    const composeBox = this.gmailDOM.findComposeBox(composeId);
+    if (!composeBox) return;
+
+    composeBox.dataset.jeepbeachProfile = profileId;
+    this.updateProfileTitle(composeId);
+  }
+
+  // The category is kept on the compose box so later drafts skip classification
+  updateIntentChip(composeId) {
+    const composeBox = this.gmailDOM.findComposeBox(composeId);
+    const group = this.composeButtons.get(composeId);
+    const chip = group && group.querySelector('.jeepbeach-intent-chip');
+    if (!composeBox || !chip) return;
+
+    const stream = this.draftStreams.get(composeId);
+    const awaitingChoice = !!(stream && stream.awaitingIntent);
+    const category = Intents.find(composeBox.dataset.jeepbeachIntent);
+
+    chip.hidden = !category && !awaitingChoice;
+    chip.classList.toggle('jeepbeach-intent-chip-unsure', awaitingChoice);
+    chip.textContent = awaitingChoice ? 'Pick a category ▾' : (category ? `${category.label} ▾` : '');
+    chip.title = awaitingChoice
+      ? 'Not sure what this email is about - pick a category to continue'
+      : 'Email category - picks the profile, sources and fallback for drafts. Click to change';
+  }
+
+  // Pick a category: answers a draft that is waiting for one, otherwise applies to the next draft
+  showIntentMenu(composeId, anchor) {
+    const composeBox = this.gmailDOM.findComposeBox(composeId);
+    if (!composeBox) return;
+
+    const items = Intents.getCategories().map(category => ({
+      id: category.id,
+      label: `${composeBox.dataset.jeepbeachIntent === category.id ? '✓' : '\u2003'} ${category.label}`,
+      title: category.description
+    }));
+
+    this.gmailDOM.showMenu(anchor, items, (categoryId) => {
+      composeBox.dataset.jeepbeachIntent = categoryId;
+
+      const stream = this.draftStreams.get(composeId);
+      if (stream && stream.awaitingIntent) {
+        stream.awaitingIntent = false;
+        stream.port.postMessage({ type: 'JB_DRAFT_INTENT_CHOICE', category: categoryId });
+        this.draftPreview.setStreamStatus(composeId, 'Generating...');
+      }
+
+      this.updateIntentChip(composeId);
+      this.updateProfileTitle(composeId);
+    });
+  }
+
+  // Classification result for a running draft; a low-confidence guess waits for the user
+  handleIntentMessage(composeId, message) {
+    const composeBox = this.gmailDOM.findComposeBox(composeId);
+    const stream = this.draftStreams.get(composeId);
+
+    if (!message.needsChoice) {
+      if (composeBox) {
+        composeBox.dataset.jeepbeachIntent = message.category;
+      }
+      this.updateIntentChip(composeId);
+      this.updateProfileTitle(composeId);
+      return;
+    }
+
+    stream.awaitingIntent = true;
+    this.updateIntentChip(composeId);
+    this.draftPreview.setStreamStatus(composeId, 'Waiting for you to pick a category...');
+    this.gmailDOM.showToast('Not sure what this email is about - pick a category', 'warning');
+
+    const group = this.composeButtons.get(composeId);
+    const chip = group && group.querySelector('.jeepbeach-intent-chip');
+    if (chip && chip.isConnected) {
+      this.showIntentMenu(composeId, chip);
+    }
+  }
+
+  handleRewriteAction(composeId, action) {
+    let language = null;
+    if (action.needsLanguage) {
+      language = (window.prompt('Translate into which language?', this.lastTranslateLanguage) || '').trim();
+      if (!language) return;
+      this.lastTranslateLanguage = language;
+    }
+
+    this.handleDraftRequest(composeId, {
+      rewriteAction: action.id,
+      rewriteLabel: action.label,
+      rewriteLanguage: language
+    });
+  }
+
+  // The saved selection in this compose box, if it covers some of the user's text
+  // (the part running into the signature or quoted history is dropped)
+  getComposeSelection(composeId, composeBox) {
+    const saved = this.savedRanges.get(composeId);
+    if (!saved || saved.collapsed || !composeBox.contains(saved.commonAncestorContainer)) {
+      return null;
+    }
+    const range = this.gmailDOM.clampToBody(composeBox, saved);
+    return range && range.toString().trim() ? range : null;
   }
 
   setupMutationObserver() {
@@ -72,86 +532,127 @@ class JeepBeachContentScript {
       // Debounce the check
       clearTimeout(this.checkTimeout);
       this.checkTimeout = setTimeout(() => {
-        this.checkComposeBox();
+        this.checkComposeBoxes();
       }, 100);
     });
 
     this.observer.observe(targetNode, config);
   }
 
-  checkComposeBox() {
-    const composeBox = this.gmailDOM.getActiveComposeBox();
-    const shouldShow = composeBox !== null;
+  // Add buttons to new compose windows and drop buttons whose window closed
+  checkComposeBoxes() {
+    const composeBoxes = this.gmailDOM.getComposeBoxes();
+    const openIds = new Set();
+
+    composeBoxes.forEach(composeBox => {
+      const composeId = this.gmailDOM.getComposeId(composeBox);
+      openIds.add(composeId);
+
+      const button = this.composeButtons.get(composeId);
+      if (!button || !button.isConnected) {
+        this.createComposeButton(composeBox);
+      }
+    });
 
-    if (this.floatingButton) {
-      this.gmailDOM.toggleButtonVisibility(this.floatingButton, shouldShow);
+    this.composeButtons.forEach((button, composeId) => {
+      if (!openIds.has(composeId)) {
+        this.removeComposeButton(composeId);
+      }
+    });
+  }
+
+  saveComposeSelection() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return;
+
+    const range = selection.getRangeAt(0);
+    const node = range.startContainer.nodeType === Node.ELEMENT_NODE ? range.startContainer : range.startContainer.parentElement;
+    const composeBox = node && node.closest('[data-jeepbeach-compose-id]');
+    if (composeBox) {
+      this.savedRanges.set(composeBox.dataset.jeepbeachComposeId, range.cloneRange());
     }
   }
 
-  setupMessageListener() {
-    // Check if Chrome runtime is available
-    if (typeof chrome === 'undefined' || !chrome.runtime) {
-      console.error('Chrome runtime not available');
-      return;
+  removeComposeButton(composeId) {
+    const group = this.composeButtons.get(composeId);
+    if (group) {
+      const cell = group.closest('.jeepbeach-draft-cell');
+      (cell || group).remove();
     }
+    this.composeButtons.delete(composeId);
+  }
 
-    try {
-      chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-        try {
-          switch (request.type) {
-            case 'JB_DRAFT_RESPONSE':
-              this.handleDraftResponse(request);
-              break;
-            case 'JB_DRAFT_ERROR':
-              this.handleDraftError(request);
-              break;
-            default:
-              break;
-          }
-        } catch (error) {
-          console.error('Error handling message:', error);
-        }
-      });
-    } catch (error) {
-      console.error('Error setting up message listener:', error);
+  // Busy state lives on the compose box so it survives button re-creation;
+  // pass null to reset the button
+  setButtonState(composeId, busyLabel) {
+    const composeBox = this.gmailDOM.findComposeBox(composeId);
+    if (composeBox) {
+      if (busyLabel) {
+        composeBox.dataset.jeepbeachBusy = busyLabel;
+      } else {
+        delete composeBox.dataset.jeepbeachBusy;
+      }
+    }
+
+    const group = this.composeButtons.get(composeId);
+    if (group) {
+      const [button, menuButton] = group.querySelectorAll('button');
+      button.disabled = !!busyLabel;
+      menuButton.disabled = !!busyLabel;
+      button.textContent = busyLabel || 'ChatJeePT';
     }
   }
 
-  async handleDraftRequest() {
-    if (this.isProcessing) {
-      this.gmailDOM.showToast('Already processing a request...', 'warning');
+  // options.variantCount > 1 asks for several alternative drafts;
+  // options.rewriteAction runs a named rewrite on the selection (or the whole message)
+  async handleDraftRequest(composeId, options = {}) {
+    // Get the compose box this button belongs to
+    const composeBox = this.gmailDOM.findComposeBox(composeId);
+    if (!composeBox) {
+      this.gmailDOM.showToast('Compose box not found', 'error');
       return;
     }
 
-    this.isProcessing = true;
-    this.floatingButton.disabled = true;
+    if (composeBox.dataset.jeepbeachBusy) {
+      this.gmailDOM.showToast('Already processing a request...', 'warning');
+      return;
+    }
 
     try {
-      // Get compose box
-      const composeBox = this.gmailDOM.getActiveComposeBox();
-      if (!composeBox) {
-        throw new Error('No compose box found');
+      // Named rewrites work on the selected passage when there is one
+      const selectionRange = options.rewriteAction ? this.getComposeSelection(composeId, composeBox) : null;
+      let existingText;
+      if (selectionRange) {
+        existingText = this.gmailDOM.getRangeText(selectionRange);
+        this.rewriteRanges.set(composeId, selectionRange.cloneRange());
+      } else {
+        // Check if the user has written anything (signature and quoted history don't count)
+        existingText = this.gmailDOM.getComposeBodyText(composeBox);
       }
-
-      // Check if there's existing text in the compose box
-      const existingText = this.gmailDOM.extractTextContent(composeBox);
       const isRewriteMode = existingText && existingText.trim().length > 0;
+      const variantCount = options.variantCount || 1;
+
+      if (options.rewriteAction && !isRewriteMode) {
+        throw new Error('Write or select some text to rewrite first');
+      }
 
       // Update button text based on mode
-      this.floatingButton.textContent = isRewriteMode ? 'Rewriting...' : 'Generating...';
+      const busyLabel = options.rewriteLabel ? `${options.rewriteLabel}...` : (isRewriteMode ? 'Rewriting...' : 'Generating...');
+      this.setButtonState(composeId, busyLabel);
 
-      // Get email context (DOM mode for now)
+      // Get the conversation and the latest message from the sender
+      const thread = this.gmailDOM.getThreadMessages();
       const emailContext = this.gmailDOM.getLastInboundMessage();
       if (!emailContext) {
         throw new Error('No email context found');
       }
 
-      console.log('Email context found:', emailContext);
+      console.log('Thread messages found:', thread.length, 'Latest inbound:', emailContext);
       console.log('Rewrite mode:', isRewriteMode, 'Existing text:', existingText);
 
       // Get settings
       const settings = await this.getSettings();
-      if (!settings.apiKey) {
+      if (!settings.apiKey && settings.provider !== 'custom') {
         throw new Error('API key not configured. Please set it in the extension options.');
       }
 
@@ -161,13 +662,29 @@ class JeepBeachContentScript {
         urls: settings.jeepBeachUrls
       });
 
-      // Send request to background script
+      // Stream the draft from the background script into the preview
       try {
-        chrome.runtime.sendMessage({
+        const streamInfo = {
+          kind: isRewriteMode ? 'rewrite' : 'draft',
+          variantCount: variantCount,
+          label: options.rewriteLabel || null,
+          selection: !!selectionRange
+        };
+
+        this.startDraftStream(composeId, streamInfo, {
           type: 'JB_DRAFT_REQUEST',
+          composeId: composeId,
+          variantCount: variantCount,
+          rewriteAction: options.rewriteAction || null,
+          rewriteLanguage: options.rewriteLanguage || null,
+          rewriteSelection: !!selectionRange,
+          profileId: composeBox.dataset.jeepbeachProfile || null,
+          fromAddress: this.gmailDOM.getFromAddress(composeBox),
+          intent: composeBox.dataset.jeepbeachIntent || null,
           emailContext: emailContext,
+          thread: thread,
           existingDraft: isRewriteMode ? existingText : null,
-          isRewriteMode: isRewriteMode,
+          isRewriteMode: !!isRewriteMode,
           tone: settings.tone,
           fallbackMessage: settings.fallbackMessage,
           jeepBeachUrls: settings.jeepBeachUrls,
@@ -176,75 +693,244 @@ class JeepBeachContentScript {
         });
       } catch (error) {
         console.error('Error sending message to background:', error);
-        this.handleDraftError({ error: 'Extension context invalidated. Please reload the extension.' });
+        this.handleDraftError({ composeId: composeId, error: 'Extension context invalidated. Please reload the extension.' });
       }
 
     } catch (error) {
       console.error('Error in handleDraftRequest:', error);
-      this.handleDraftError({ error: error.message });
+      this.handleDraftError({ composeId: composeId, error: error.message });
+    }
+  }
+
+  // Open a port for one draft; the background aborts generation when it is disconnected.
+  // streamInfo: { kind, variantCount, label, selection } describes the draft for the preview
+  startDraftStream(composeId, streamInfo, request) {
+    const port = chrome.runtime.connect({ name: 'jb-draft' });
+    const stream = { ...streamInfo, port: port, text: '', owner: this };
+    this.draftStreams.set(composeId, stream);
+
+    port.onMessage.addListener((message) => stream.owner.handleStreamMessage(composeId, message));
+
+    // Only fires when the background side goes away; our own disconnect() doesn't trigger it
+    port.onDisconnect.addListener(() => {
+      const owner = stream.owner;
+      if (owner.draftStreams.get(composeId) === stream) {
+        owner.draftStreams.delete(composeId);
+        owner.handleDraftError({ composeId: composeId, error: 'Lost connection to the extension. Please try again.' });
+      }
+    });
+
+    this.draftPreview.startStream(composeId, streamInfo);
+    port.postMessage(request);
+  }
+
+  handleStreamMessage(composeId, message) {
+    const stream = this.draftStreams.get(composeId);
+    if (!stream) return;
+
+    switch (message.type) {
+      case 'JB_DRAFT_INTENT':
+        this.handleIntentMessage(composeId, message);
+        break;
+      case 'JB_DRAFT_TOKEN':
+        stream.text += message.text;
+        this.draftPreview.updateStream(composeId, stream.text);
+        break;
+      case 'JB_DRAFT_RESPONSE':
+        this.endDraftStream(composeId);
+        this.handleDraftResponse({ ...message, label: stream.label, selection: stream.selection });
+        break;
+      case 'JB_DRAFT_ERROR':
+        this.endDraftStream(composeId);
+        this.handleDraftError(message);
+        break;
+      default:
+        break;
+    }
+  }
+
+  endDraftStream(composeId) {
+    const stream = this.draftStreams.get(composeId);
+    if (stream) {
+      this.draftStreams.delete(composeId);
+      stream.port.disconnect();
+      if (stream.awaitingIntent) {
+        this.updateIntentChip(composeId);
+      }
+    }
+    return stream;
+  }
+
+  // Stop button: abort generation but keep whatever text already arrived
+  stopDraftStream(composeId) {
+    const stream = this.endDraftStream(composeId);
+    if (!stream) return;
+
+    if (stream.text.trim()) {
+      this.handleDraftResponse({
+        composeId: composeId,
+        draft: stream.text.trim(),
+        isRewriteMode: stream.kind === 'rewrite',
+        label: stream.label,
+        selection: stream.selection,
+        stopped: true
+      });
+    } else {
+      this.setButtonState(composeId, null);
+      this.draftPreview.hide();
     }
   }
 
   handleDraftResponse(request) {
-    this.isProcessing = false;
-    this.floatingButton.disabled = false;
-    this.floatingButton.textContent = 'ChatJeePT';
+    this.setButtonState(request.composeId, null);
 
     console.log('Received draft response:', request);
 
+    // Structured replies name a category when classification didn't run
+    const composeBox = this.gmailDOM.findComposeBox(request.composeId);
+    if (request.category && composeBox && !composeBox.dataset.jeepbeachIntent) {
+      composeBox.dataset.jeepbeachIntent = request.category;
+      this.updateIntentChip(request.composeId);
+    }
+
     if (request.draft) {
-      // Insert draft into compose box
-      const composeBox = this.gmailDOM.getActiveComposeBox();
-      if (composeBox) {
-        // Clear any existing content first
-        composeBox.textContent = '';
-
-        const success = this.gmailDOM.insertTextAtCursor(composeBox, request.draft);
-        if (success) {
-          this.gmailDOM.showToast('Draft inserted successfully!', 'success');
-        } else {
-          this.gmailDOM.showToast('Failed to insert draft', 'error');
-        }
-      } else {
-        this.gmailDOM.showToast('Compose box not found', 'error');
+      // Preview against the compose box that asked for it, even if focus has moved
+      this.draftPreview.addToHistory(request.composeId, {
+        text: request.draft,
+        kind: request.isRewriteMode ? 'rewrite' : 'draft',
+        truncated: !!request.truncated,
+        stopped: !!request.stopped,
+        label: request.label || null,
+        selection: !!request.selection,
+        profileName: request.profileName || null,
+        sources: request.sources || [],
+        unverified: request.unverified || [],
+        usedFallback: request.usedFallback,
+        confidence: request.confidence,
+        followUpQuestions: request.followUpQuestions || [],
+        variants: request.variants
+          ? request.variants.map(variant => ({
+            approach: variant.approach,
+            text: variant.draft,
+            sources: variant.sources || [],
+            unverified: variant.unverified || []
+          }))
+          : null
+      });
+
+      // Don't take the panel away from a draft that is still streaming for another compose box
+      if (this.draftPreview.streaming && !this.draftPreview.isOpenFor(request.composeId)) {
+        this.gmailDOM.showToast('A draft for another compose window is ready', 'info');
+        return;
+      }
+      this.draftPreview.show(request.composeId);
+
+      if (!this.gmailDOM.findComposeBox(request.composeId)) {
+        this.gmailDOM.showToast('Compose window was closed - copy the draft from the preview', 'warning');
       }
     } else {
       this.gmailDOM.showToast('No draft generated', 'warning');
     }
   }
 
+  handlePreviewAction(action, composeId, text, entry = null) {
+    if (action === 'stop') {
+      this.stopDraftStream(composeId);
+      return;
+    }
+
+    if (action === 'discard') {
+      this.draftPreview.hide();
+      return;
+    }
+
+    const composeBox = this.gmailDOM.findComposeBox(composeId);
+    if (!composeBox) {
+      this.gmailDOM.showToast('Compose window was closed - copy the draft from the preview', 'error');
+      return;
+    }
+
+    const positions = { insert: 'start', replace: 'replace', append: 'end', cursor: 'cursor' };
+
+    // A rewritten selection goes back over the passage it came from
+    const range = entry && entry.selection ? this.rewriteRanges.get(composeId) : this.savedRanges.get(composeId);
+
+    // Keep what the user wrote so Replace can be undone from the history
+    let replacedText = '';
+    if (action === 'replace') {
+      replacedText = this.gmailDOM.getComposeBodyText(composeBox);
+    } else if (action === 'cursor' && range && composeBox.contains(range.startContainer)) {
+      const bodyRange = this.gmailDOM.clampToBody(composeBox, range);
+      replacedText = bodyRange ? bodyRange.toString().trim() : '';
+    }
+    if (replacedText) {
+      this.draftPreview.addToHistory(composeId, { text: replacedText, kind: 'previous' });
+    }
+
+    const success = this.gmailDOM.insertDraft(composeBox, text, positions[action], range);
+    if (success) {
+      this.draftPreview.hide();
+      this.gmailDOM.showToast('Draft inserted - earlier versions stay in the preview history', 'success');
+    } else {
+      this.gmailDOM.showToast('Failed to insert draft', 'error');
+    }
+  }
+
   handleDraftError(request) {
-    this.isProcessing = false;
-    this.floatingButton.disabled = false;
-    this.floatingButton.textContent = 'ChatJeePT';
+    this.setButtonState(request.composeId, null);
+    this.updateIntentChip(request.composeId);
+    if (this.draftPreview.streaming && this.draftPreview.isOpenFor(request.composeId)) {
+      this.draftPreview.hide();
+    }
 
     const errorMessage = request.error || 'Unknown error occurred';
     this.gmailDOM.showToast(`Error: ${errorMessage}`, 'error');
   }
 
   async getSettings() {
-    return new Promise((resolve) => {
+    const settings = await new Promise((resolve) => {
       chrome.storage.sync.get([
         'apiKey',
+        'provider',
+        'customApiKey',
         'tone',
         'fallbackMessage',
+        'variantCount',
+        'shortcuts',
+        'eventDetails',
         'jeepBeachUrls',
         'useGmailApi'
       ], (result) => {
         resolve(result);
       });
     });
+
+    // Profiles, rewrite actions and category routes are in local storage
+    const storage = new StorageManager();
+    settings.profiles = await storage.getProfiles();
+    settings.customRewriteActions = await storage.getCustomRewriteActions();
+    settings.intentRoutes = await storage.getIntentRoutes();
+    return settings;
   }
 
   // Cleanup method
   destroy() {
+    document.removeEventListener('selectionchange', this.handleSelectionChange);
+    window.removeEventListener('keydown', this.handleShortcutKey, true);
+    chrome.runtime.onMessage.removeListener(this.handleRuntimeMessage);
+    chrome.storage.onChanged.removeListener(this.handleStorageChange);
+    if (this.commandPalette) {
+      this.commandPalette.hide();
+    }
+    if (this.draftPreview) {
+      this.draftPreview.hide();
+    }
+
     if (this.observer) {
       this.observer.disconnect();
     }
 
-    if (this.floatingButton) {
-      this.floatingButton.remove();
-    }
+    this.composeButtons.forEach((button, composeId) => this.removeComposeButton(composeId));
 
     clearTimeout(this.checkTimeout);
   }
@@ -255,10 +941,12 @@ let jeepBeachScript = null;
 
 // Initialize when page loads
 function initializeScript() {
+  let draftStreams;
   if (jeepBeachScript) {
+    draftStreams = jeepBeachScript.draftStreams;
     jeepBeachScript.destroy();
   }
-  jeepBeachScript = new JeepBeachContentScript();
+  jeepBeachScript = new JeepBeachContentScript(draftStreams);
 }
 
 // Initialize immediately
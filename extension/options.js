@@ -3,6 +3,14 @@ class JeepBeachOptions {
   constructor() {
     this.storage = new StorageManager();
     this.llmProvider = null;
+    this.sourceUrls = [];
+    this.snippets = [];
+    this.quickReplies = [];
+    this.customRewriteActions = [];
+    this.profiles = [];
+    this.intentRoutes = {}; // categoryId -> { profileId, fallbackMessage, preferredUrls }
+    this.promptTemplates = {}; // only templates that differ from the defaults
+    this.shortcuts = {}; // actionId -> key, only the ones changed from the defaults
 
     this.init();
   }
@@ -22,10 +30,55 @@ class JeepBeachOptions {
       // Populate form fields
       document.getElementById('apiKey').value = settings.apiKey || '';
       document.getElementById('provider').value = settings.provider || 'openai';
+      document.getElementById('customBaseUrl').value = settings.customBaseUrl || '';
+      document.getElementById('customModel').value = settings.customModel || '';
+      document.getElementById('customApiKey').value = settings.customApiKey || '';
       document.getElementById('tone').value = settings.tone || '';
       document.getElementById('fallbackMessage').value = settings.fallbackMessage || '';
+      document.getElementById('greetingStyle').value = settings.greetingStyle || 'mirror';
+      document.getElementById('variantCount').value = String(settings.variantCount || 3);
+      document.getElementById('structuredOutput').checked = settings.structuredOutput || false;
+      document.getElementById('classifyIntent').checked = settings.classifyIntent !== false;
+      document.getElementById('intentConfidence').value = String(Number.isFinite(settings.intentConfidence) ? settings.intentConfidence : 0.6);
       document.getElementById('useGmailApi').checked = settings.useGmailApi || false;
 
+      const defaults = this.storage.getDefaultSettings();
+      this.sourceUrls = [...(settings.jeepBeachUrls || defaults.jeepBeachUrls)];
+      this.renderSourceList();
+      this.populateCrawlSettings(settings.crawlSettings || defaults.crawlSettings);
+      document.getElementById('refreshIntervalHours').value = settings.refreshIntervalHours || defaults.refreshIntervalHours;
+      await this.renderSourceStatus();
+
+      this.snippets = await this.storage.getSnippets();
+      this.renderSnippetList();
+
+      this.quickReplies = await this.storage.getQuickReplies();
+      this.renderQuickReplyList();
+      this.renderQuickReplyVariables();
+      const eventDetails = settings.eventDetails || defaults.eventDetails;
+      document.getElementById('eventYear').value = eventDetails.eventYear || '';
+      document.getElementById('eventDates').value = eventDetails.eventDates || '';
+
+      this.customRewriteActions = [...(await this.storage.getCustomRewriteActions())];
+      this.renderRewriteActionList();
+
+      this.intentRoutes = { ...(await this.storage.getIntentRoutes()) };
+      this.profiles = [...(await this.storage.getProfiles())];
+      this.renderProfileList();
+
+      this.promptTemplates = { ...(await this.storage.getPromptTemplates()) };
+      this.renderPromptVariables();
+      this.populatePromptTemplate();
+
+      this.populateModelSettings('draft', settings.draftModelSettings || defaults.draftModelSettings);
+      this.populateModelSettings('rewrite', settings.rewriteModelSettings || defaults.rewriteModelSettings);
+
+      this.shortcuts = { ...(settings.shortcuts || {}) };
+      this.renderShortcutList();
+      this.renderBrowserShortcuts();
+
+      this.toggleProviderFields();
+
     } catch (error) {
       console.error('Error loading settings:', error);
       this.showStatus('Error loading settings', 'error');
@@ -53,27 +106,197 @@ class JeepBeachOptions {
       this.resetDefaults();
     });
 
+    // Show custom endpoint fields for the matching provider
+    document.getElementById('provider').addEventListener('change', () => {
+      this.toggleProviderFields();
+    });
+
+    // Fill the custom model picker
+    document.getElementById('loadModels').addEventListener('click', () => {
+      this.loadCustomModels();
+    });
+
+    // Knowledge sources
+    document.getElementById('addSource').addEventListener('click', () => {
+      this.addSource();
+    });
+
+    document.getElementById('newSourceUrl').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.addSource();
+      }
+    });
+
+    document.getElementById('restoreDefaultSources').addEventListener('click', () => {
+      this.sourceUrls = [...this.storage.getDefaultSettings().jeepBeachUrls];
+      this.renderSourceList();
+      this.saveSettings();
+    });
+
+    // Team snippets
+    document.getElementById('saveSnippet').addEventListener('click', () => {
+      this.saveSnippet();
+    });
+
+    document.getElementById('cancelSnippet').addEventListener('click', () => {
+      this.resetSnippetForm();
+    });
+
+    // Quick replies
+    document.getElementById('saveQuickReply').addEventListener('click', () => {
+      this.saveQuickReply();
+    });
+
+    document.getElementById('cancelQuickReply').addEventListener('click', () => {
+      this.resetQuickReplyForm();
+    });
+
+    document.getElementById('exportQuickReplies').addEventListener('click', () => {
+      this.exportQuickReplies();
+    });
+
+    document.getElementById('importQuickReplies').addEventListener('click', () => {
+      document.getElementById('quickReplyFile').click();
+    });
+
+    document.getElementById('quickReplyFile').addEventListener('change', (e) => {
+      this.importQuickReplies(e.target);
+    });
+
+    // Reply profiles
+    document.getElementById('saveProfile').addEventListener('click', () => {
+      this.saveProfile();
+    });
+
+    document.getElementById('cancelProfile').addEventListener('click', () => {
+      this.resetProfileForm();
+    });
+
+    // Custom rewrite actions
+    document.getElementById('saveRewriteAction').addEventListener('click', () => {
+      this.saveRewriteAction();
+    });
+
+    document.getElementById('cancelRewriteAction').addEventListener('click', () => {
+      this.resetRewriteActionForm();
+    });
+
+    // Prompt templates: validate and preview while typing, save when the editor loses focus
+    document.getElementById('promptTemplateName').addEventListener('change', () => {
+      this.populatePromptTemplate();
+    });
+
+    document.getElementById('promptTemplateText').addEventListener('input', () => {
+      this.updatePromptTemplate();
+    });
+
+    document.getElementById('promptTemplateText').addEventListener('change', () => {
+      this.saveSettings();
+    });
+
+    document.getElementById('resetPromptTemplate').addEventListener('click', () => {
+      delete this.promptTemplates[document.getElementById('promptTemplateName').value];
+      this.populatePromptTemplate();
+      this.saveSettings();
+    });
+
+    // Keyboard shortcuts
+    document.getElementById('resetShortcuts').addEventListener('click', () => {
+      this.shortcuts = {};
+      this.renderShortcutList();
+      this.saveShortcuts();
+    });
+
+    document.getElementById('openBrowserShortcuts').addEventListener('click', () => {
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+
+    // The preview uses the tone, fallback and greeting fields
+    ['tone', 'fallbackMessage', 'greetingStyle'].forEach(fieldId => {
+      document.getElementById(fieldId).addEventListener('input', () => this.renderPromptPreview());
+    });
+
+    // Keep page status current when the background refresh finishes
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.jeepBeachCache) {
+        this.renderSourceStatus();
+      }
+    });
+
     // Auto-save on input change
     const inputs = document.querySelectorAll('input, textarea, select');
     inputs.forEach(input => {
+      // Editors with their own save button opt out
+      if (input.dataset.autosave === 'false') return;
+
       input.addEventListener('change', () => {
         this.saveSettings();
       });
     });
   }
 
+  // 0 is a real threshold (never ask), so only a missing value falls back to the default
+  readConfidence() {
+    const confidence = parseFloat(document.getElementById('intentConfidence').value);
+    return Number.isFinite(confidence) ? confidence : 0.6;
+  }
+
   async saveSettings() {
     try {
       const settings = {
         apiKey: document.getElementById('apiKey').value.trim(),
         provider: document.getElementById('provider').value,
+        customBaseUrl: document.getElementById('customBaseUrl').value.trim(),
+        customModel: document.getElementById('customModel').value.trim(),
+        customApiKey: document.getElementById('customApiKey').value.trim(),
         tone: document.getElementById('tone').value.trim(),
         fallbackMessage: document.getElementById('fallbackMessage').value.trim(),
-        useGmailApi: document.getElementById('useGmailApi').checked
+        greetingStyle: document.getElementById('greetingStyle').value,
+        variantCount: parseInt(document.getElementById('variantCount').value, 10) || 3,
+        structuredOutput: document.getElementById('structuredOutput').checked,
+        classifyIntent: document.getElementById('classifyIntent').checked,
+        intentConfidence: this.readConfidence(),
+        useGmailApi: document.getElementById('useGmailApi').checked,
+        eventDetails: {
+          eventYear: document.getElementById('eventYear').value.trim(),
+          eventDates: document.getElementById('eventDates').value.trim()
+        },
+        jeepBeachUrls: this.sourceUrls,
+        crawlSettings: {
+          enabled: document.getElementById('crawlEnabled').checked,
+          depth: parseInt(document.getElementById('crawlDepth').value, 10) || 0,
+          maxPages: parseInt(document.getElementById('crawlMaxPages').value, 10) || 1
+        },
+        refreshIntervalHours: parseInt(document.getElementById('refreshIntervalHours').value, 10),
+        draftModelSettings: this.readModelSettings('draft'),
+        rewriteModelSettings: this.readModelSettings('rewrite')
       };
 
+      const templateProblem = this.getPromptTemplateProblem();
+      if (templateProblem) {
+        this.showStatus(templateProblem, 'error');
+        return;
+      }
+
       // Validate required fields
-      if (!settings.apiKey) {
+      if (settings.provider === 'custom') {
+        if (!this.isValidBaseUrl(settings.customBaseUrl)) {
+          this.showStatus('A valid http(s) base URL is required', 'error');
+          return;
+        }
+
+        if (!settings.customModel) {
+          this.showStatus('Model name is required', 'error');
+          return;
+        }
+
+        const granted = await this.ensureHostPermission(settings.customBaseUrl);
+        if (!granted) {
+          this.showStatus('Permission to access ' + new URL(settings.customBaseUrl).origin + ' was denied', 'error');
+          return;
+        }
+      } else if (!settings.apiKey) {
         this.showStatus('API key is required', 'error');
         return;
       }
@@ -83,13 +306,37 @@ class JeepBeachOptions {
         return;
       }
 
+      if (!(settings.refreshIntervalHours >= 1)) {
+        this.showStatus('Refresh interval must be at least 1 hour', 'error');
+        return;
+      }
+
+      if (settings.jeepBeachUrls.length === 0) {
+        this.showStatus('Add at least one JeepBeach page', 'error');
+        return;
+      }
+
+      const maxTemperature = LLMProvider.getMaxTemperature(settings.provider);
+      for (const mode of ['draft', 'rewrite']) {
+        const modelSettings = settings[`${mode}ModelSettings`];
+        if (!(modelSettings.temperature >= 0 && modelSettings.temperature <= maxTemperature)) {
+          this.showStatus(`Temperature for ${mode} mode must be between 0 and ${maxTemperature}`, 'error');
+          return;
+        }
+        if (!(modelSettings.maxTokens >= 1)) {
+          this.showStatus(`Max tokens for ${mode} mode must be a positive number`, 'error');
+          return;
+        }
+      }
+
       if (!settings.fallbackMessage) {
         this.showStatus('Fallback message is required', 'error');
         return;
       }
 
-      // Save to storage
+      // Save to storage; templates go to local storage on their own so a long one can't block the rest
       await this.storage.setSyncData(settings);
+      await this.storage.setPromptTemplates(this.promptTemplates);
 
       this.showStatus('Settings saved successfully!', 'success');
 
@@ -109,12 +356,8 @@ class JeepBeachOptions {
 
       const settings = await this.storage.getSyncData();
 
-      if (!settings.apiKey) {
-        throw new Error('API key not configured');
-      }
-
       // Initialize LLM provider
-      this.llmProvider = new LLMProvider(settings.apiKey, settings.provider);
+      this.llmProvider = LLMProvider.fromSettings(settings);
 
       // Test connection
       const response = await this.llmProvider.testConnection();
@@ -147,7 +390,11 @@ class JeepBeachOptions {
         throw new Error(response.error);
       }
 
-      this.showStatus('Content refreshed successfully!', 'success');
+      this.showStatus(response.message || 'Content refreshed successfully!', 'success');
+      await this.renderSourceStatus();
+
+      this.snippets = await this.storage.getSnippets();
+      this.renderSnippetList();
 
     } catch (error) {
       console.error('Cache refresh error:', error);
@@ -168,13 +415,38 @@ class JeepBeachOptions {
 
       // Update form fields
       document.getElementById('apiKey').value = defaults.apiKey;
-      document.getElementById('provider').value = 'openai';
+      document.getElementById('provider').value = defaults.provider;
+      document.getElementById('customBaseUrl').value = defaults.customBaseUrl;
+      document.getElementById('customModel').value = defaults.customModel;
+      document.getElementById('customApiKey').value = defaults.customApiKey;
       document.getElementById('tone').value = defaults.tone;
       document.getElementById('fallbackMessage').value = defaults.fallbackMessage;
+      document.getElementById('greetingStyle').value = defaults.greetingStyle;
+      document.getElementById('variantCount').value = String(defaults.variantCount);
+      document.getElementById('structuredOutput').checked = defaults.structuredOutput;
+      document.getElementById('classifyIntent').checked = defaults.classifyIntent;
+      document.getElementById('intentConfidence').value = String(defaults.intentConfidence);
+      this.intentRoutes = {};
+      this.renderIntentRoutes();
       document.getElementById('useGmailApi').checked = defaults.useGmailApi;
+      document.getElementById('eventYear').value = defaults.eventDetails.eventYear;
+      document.getElementById('eventDates').value = defaults.eventDetails.eventDates;
+      this.populateModelSettings('draft', defaults.draftModelSettings);
+      this.populateModelSettings('rewrite', defaults.rewriteModelSettings);
+      this.promptTemplates = {};
+      this.populatePromptTemplate();
+      this.shortcuts = { ...defaults.shortcuts };
+      this.renderShortcutList();
+      this.sourceUrls = [...defaults.jeepBeachUrls];
+      this.renderSourceList();
+      this.populateCrawlSettings(defaults.crawlSettings);
+      document.getElementById('refreshIntervalHours').value = defaults.refreshIntervalHours;
 
-      // Save to storage
+      // Save to storage (user-made rewrite actions and profiles are content like snippets, so they're kept)
       await this.storage.setSyncData(defaults);
+      await this.storage.setPromptTemplates(this.promptTemplates);
+      await this.storage.setIntentRoutes(this.intentRoutes);
+      this.toggleProviderFields();
 
       this.showStatus('Settings reset to defaults!', 'success');
 
@@ -184,6 +456,1177 @@ class JeepBeachOptions {
     }
   }
 
+  renderSourceList() {
+    const list = document.getElementById('sourceList');
+    list.innerHTML = '';
+
+    if (this.sourceUrls.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'px-3 py-2 text-sm text-gray-500';
+      empty.textContent = 'No pages configured';
+      list.appendChild(empty);
+      return;
+    }
+
+    this.sourceUrls.forEach((url, index) => {
+      const item = document.createElement('li');
+      item.className = 'flex items-center justify-between gap-3 px-3 py-2';
+
+      const label = document.createElement('span');
+      label.className = 'text-sm font-mono text-gray-700 truncate';
+      label.textContent = url;
+
+      const remove = document.createElement('button');
+      remove.className = 'text-xs text-red-600 hover:underline';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => {
+        this.sourceUrls.splice(index, 1);
+        this.renderSourceList();
+        this.saveSettings();
+      });
+
+      item.appendChild(label);
+      item.appendChild(remove);
+      list.appendChild(item);
+    });
+  }
+
+  async addSource() {
+    const input = document.getElementById('newSourceUrl');
+    const url = input.value.trim();
+
+    if (!this.isValidBaseUrl(url)) {
+      this.showStatus('Enter a full http(s) URL', 'error');
+      return;
+    }
+
+    if (this.sourceUrls.includes(url)) {
+      this.showStatus('That page is already in the list', 'error');
+      return;
+    }
+
+    const granted = await this.ensureHostPermission(url);
+    if (!granted) {
+      this.showStatus('Permission to access ' + new URL(url).origin + ' was denied', 'error');
+      return;
+    }
+
+    this.sourceUrls.push(url);
+    input.value = '';
+    this.renderSourceList();
+    await this.saveSettings();
+  }
+
+  renderSnippetList() {
+    const list = document.getElementById('snippetList');
+    list.innerHTML = '';
+
+    if (this.snippets.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'px-3 py-2 text-sm text-gray-500';
+      empty.textContent = 'No snippets yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    this.snippets.forEach(snippet => {
+      const item = document.createElement('li');
+      item.className = 'px-3 py-2';
+
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-3';
+
+      const title = document.createElement('span');
+      title.className = 'text-sm font-medium text-gray-900 truncate';
+      title.textContent = snippet.title;
+
+      const actions = document.createElement('div');
+      actions.className = 'flex shrink-0 items-center gap-3';
+
+      if (this.storage.isSnippetExpired(snippet)) {
+        const expired = document.createElement('span');
+        expired.className = 'rounded px-2 py-0.5 text-xs font-medium bg-gray-100 text-gray-600';
+        expired.textContent = 'Expired';
+        actions.appendChild(expired);
+      }
+
+      const edit = document.createElement('button');
+      edit.className = 'text-xs text-blue-600 hover:underline';
+      edit.textContent = 'Edit';
+      edit.addEventListener('click', () => this.editSnippet(snippet.id));
+
+      const remove = document.createElement('button');
+      remove.className = 'text-xs text-red-600 hover:underline';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => this.deleteSnippet(snippet.id));
+
+      actions.appendChild(edit);
+      actions.appendChild(remove);
+      row.appendChild(title);
+      row.appendChild(actions);
+
+      const details = document.createElement('p');
+      details.className = 'text-xs text-gray-500 mt-1 truncate';
+      const meta = [];
+      if (snippet.tags && snippet.tags.length) meta.push(snippet.tags.join(', '));
+      if (snippet.expiresAt) meta.push(`expires ${snippet.expiresAt}`);
+      meta.push(snippet.body);
+      details.textContent = meta.join(' · ');
+
+      item.appendChild(row);
+      item.appendChild(details);
+      list.appendChild(item);
+    });
+  }
+
+  async saveSnippet() {
+    const id = document.getElementById('snippetId').value;
+    const title = document.getElementById('snippetTitle').value.trim();
+    const body = document.getElementById('snippetBody').value.trim();
+
+    if (!title || !body) {
+      this.showStatus('Snippet title and answer are required', 'error');
+      return;
+    }
+
+    const snippet = {
+      id: id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      title: title,
+      body: body,
+      tags: document.getElementById('snippetTags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+      expiresAt: document.getElementById('snippetExpiresAt').value || null,
+      updatedAt: Date.now()
+    };
+
+    const existingIndex = this.snippets.findIndex(item => item.id === snippet.id);
+    if (existingIndex >= 0) {
+      this.snippets[existingIndex] = { ...this.snippets[existingIndex], ...snippet };
+    } else {
+      this.snippets.push({ ...snippet, createdAt: snippet.updatedAt });
+    }
+
+    try {
+      await this.storage.setSnippets(this.snippets);
+      this.resetSnippetForm();
+      this.renderSnippetList();
+      this.showStatus('Snippet saved!', 'success');
+    } catch (error) {
+      console.error('Error saving snippet:', error);
+      this.showStatus('Error saving snippet: ' + error.message, 'error');
+    }
+  }
+
+  editSnippet(id) {
+    const snippet = this.snippets.find(item => item.id === id);
+    if (!snippet) return;
+
+    document.getElementById('snippetId').value = snippet.id;
+    document.getElementById('snippetTitle').value = snippet.title;
+    document.getElementById('snippetBody').value = snippet.body;
+    document.getElementById('snippetTags').value = (snippet.tags || []).join(', ');
+    document.getElementById('snippetExpiresAt').value = snippet.expiresAt || '';
+    document.getElementById('saveSnippet').textContent = 'Update Snippet';
+    document.getElementById('cancelSnippet').classList.remove('hidden');
+    document.getElementById('snippetTitle').focus();
+  }
+
+  async deleteSnippet(id) {
+    const snippet = this.snippets.find(item => item.id === id);
+    if (!snippet || !confirm(`Delete the snippet "${snippet.title}"?`)) {
+      return;
+    }
+
+    this.snippets = this.snippets.filter(item => item.id !== id);
+    await this.storage.setSnippets(this.snippets);
+    this.renderSnippetList();
+
+    if (document.getElementById('snippetId').value === id) {
+      this.resetSnippetForm();
+    }
+  }
+
+  resetSnippetForm() {
+    ['snippetId', 'snippetTitle', 'snippetBody', 'snippetTags', 'snippetExpiresAt'].forEach(fieldId => {
+      document.getElementById(fieldId).value = '';
+    });
+    document.getElementById('saveSnippet').textContent = 'Add Snippet';
+    document.getElementById('cancelSnippet').classList.add('hidden');
+  }
+
+  renderQuickReplyList() {
+    const list = document.getElementById('quickReplyList');
+    list.innerHTML = '';
+
+    if (this.quickReplies.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'px-3 py-2 text-sm text-gray-500';
+      empty.textContent = 'No quick replies yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    this.quickReplies.forEach(reply => {
+      const item = document.createElement('li');
+      item.className = 'px-3 py-2';
+
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-3';
+
+      const title = document.createElement('span');
+      title.className = 'text-sm font-medium text-gray-900 truncate';
+      title.textContent = reply.title;
+
+      const actions = document.createElement('div');
+      actions.className = 'flex shrink-0 items-center gap-3';
+
+      const edit = document.createElement('button');
+      edit.className = 'text-xs text-blue-600 hover:underline';
+      edit.textContent = 'Edit';
+      edit.addEventListener('click', () => this.editQuickReply(reply.id));
+
+      const remove = document.createElement('button');
+      remove.className = 'text-xs text-red-600 hover:underline';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => this.deleteQuickReply(reply.id));
+
+      actions.appendChild(edit);
+      actions.appendChild(remove);
+      row.appendChild(title);
+      row.appendChild(actions);
+
+      const details = document.createElement('p');
+      details.className = 'text-xs text-gray-500 mt-1 truncate';
+      const meta = [];
+      if (reply.tags && reply.tags.length) meta.push(reply.tags.join(', '));
+      meta.push(reply.body);
+      details.textContent = meta.join(' · ');
+
+      item.appendChild(row);
+      item.appendChild(details);
+      list.appendChild(item);
+    });
+  }
+
+  renderQuickReplyVariables() {
+    const container = document.getElementById('quickReplyVariables');
+    const textarea = document.getElementById('quickReplyBody');
+    container.innerHTML = '';
+
+    QuickReplies.getVariables().forEach(variable => {
+      const chip = document.createElement('button');
+      chip.className = 'rounded bg-blue-50 px-2 py-0.5 font-mono text-xs text-blue-700 hover:bg-blue-100';
+      chip.textContent = `{{${variable.name}}}`;
+      chip.title = variable.description;
+      chip.addEventListener('click', () => {
+        textarea.setRangeText(`{{${variable.name}}}`, textarea.selectionStart, textarea.selectionEnd, 'end');
+        textarea.focus();
+      });
+      container.appendChild(chip);
+    });
+  }
+
+  async saveQuickReply() {
+    const id = document.getElementById('quickReplyId').value;
+    const title = document.getElementById('quickReplyTitle').value.trim();
+    const body = document.getElementById('quickReplyBody').value.trim();
+
+    if (!title || !body) {
+      this.showStatus('Quick reply title and text are required', 'error');
+      return;
+    }
+
+    const known = QuickReplies.getVariables().map(variable => variable.name);
+    const unknown = [...body.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]).find(name => !known.includes(name));
+    if (unknown) {
+      this.showStatus(`Unknown variable {{${unknown}}}`, 'error');
+      return;
+    }
+
+    const reply = {
+      id: id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      title: title,
+      body: body,
+      tags: document.getElementById('quickReplyTags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+      updatedAt: Date.now()
+    };
+
+    const existingIndex = this.quickReplies.findIndex(item => item.id === reply.id);
+    if (existingIndex >= 0) {
+      this.quickReplies[existingIndex] = { ...this.quickReplies[existingIndex], ...reply };
+    } else {
+      this.quickReplies.push({ ...reply, createdAt: reply.updatedAt });
+    }
+
+    try {
+      await this.storage.setQuickReplies(this.quickReplies);
+      this.resetQuickReplyForm();
+      this.renderQuickReplyList();
+      this.showStatus('Quick reply saved!', 'success');
+    } catch (error) {
+      console.error('Error saving quick reply:', error);
+      this.showStatus('Error saving quick reply: ' + error.message, 'error');
+    }
+  }
+
+  editQuickReply(id) {
+    const reply = this.quickReplies.find(item => item.id === id);
+    if (!reply) return;
+
+    document.getElementById('quickReplyId').value = reply.id;
+    document.getElementById('quickReplyTitle').value = reply.title;
+    document.getElementById('quickReplyBody').value = reply.body;
+    document.getElementById('quickReplyTags').value = (reply.tags || []).join(', ');
+    document.getElementById('saveQuickReply').textContent = 'Update Quick Reply';
+    document.getElementById('cancelQuickReply').classList.remove('hidden');
+    document.getElementById('quickReplyTitle').focus();
+  }
+
+  async deleteQuickReply(id) {
+    const reply = this.quickReplies.find(item => item.id === id);
+    if (!reply || !confirm(`Delete the quick reply "${reply.title}"?`)) {
+      return;
+    }
+
+    this.quickReplies = this.quickReplies.filter(item => item.id !== id);
+    await this.storage.setQuickReplies(this.quickReplies);
+    this.renderQuickReplyList();
+
+    if (document.getElementById('quickReplyId').value === id) {
+      this.resetQuickReplyForm();
+    }
+  }
+
+  resetQuickReplyForm() {
+    ['quickReplyId', 'quickReplyTitle', 'quickReplyBody', 'quickReplyTags'].forEach(fieldId => {
+      document.getElementById(fieldId).value = '';
+    });
+    document.getElementById('saveQuickReply').textContent = 'Add Quick Reply';
+    document.getElementById('cancelQuickReply').classList.add('hidden');
+  }
+
+  // Download the quick replies as a file other team members can import
+  exportQuickReplies() {
+    if (this.quickReplies.length === 0) {
+      this.showStatus('No quick replies to export', 'error');
+      return;
+    }
+
+    const blob = new Blob([QuickReplies.exportData(this.quickReplies)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'jeepbeach-quick-replies.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  async importQuickReplies(fileInput) {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const result = QuickReplies.merge(this.quickReplies, QuickReplies.parseImport(await file.text()));
+      this.quickReplies = result.quickReplies;
+      await this.storage.setQuickReplies(this.quickReplies);
+      this.renderQuickReplyList();
+      this.showStatus(`Imported ${result.added} new and ${result.updated} updated quick replies`, 'success');
+    } catch (error) {
+      console.error('Error importing quick replies:', error);
+      this.showStatus('Import failed: ' + error.message, 'error');
+    }
+  }
+
+  renderProfileList() {
+    const list = document.getElementById('profileList');
+    list.innerHTML = '';
+
+    // Category routing offers the profiles in a dropdown
+    this.renderIntentRoutes();
+
+    if (this.profiles.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'px-3 py-2 text-sm text-gray-500';
+      empty.textContent = 'No profiles yet - every reply uses the Response Settings';
+      list.appendChild(empty);
+      return;
+    }
+
+    this.profiles.forEach(profile => {
+      const item = document.createElement('li');
+      item.className = 'px-3 py-2';
+
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-3';
+
+      const name = document.createElement('span');
+      name.className = 'text-sm font-medium text-gray-900 truncate';
+      name.textContent = profile.name;
+
+      const actions = document.createElement('div');
+      actions.className = 'flex shrink-0 items-center gap-3';
+
+      const edit = document.createElement('button');
+      edit.className = 'text-xs text-blue-600 hover:underline';
+      edit.textContent = 'Edit';
+      edit.addEventListener('click', () => this.editProfile(profile.id));
+
+      const remove = document.createElement('button');
+      remove.className = 'text-xs text-red-600 hover:underline';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => this.deleteProfile(profile.id));
+
+      actions.appendChild(edit);
+      actions.appendChild(remove);
+      row.appendChild(name);
+      row.appendChild(actions);
+
+      const details = document.createElement('p');
+      details.className = 'text-xs text-gray-500 mt-1 truncate';
+      details.textContent = [
+        profile.fromAliases.length ? `From: ${profile.fromAliases.join(', ')}` : 'Picked manually',
+        profile.tone ? `Tone: ${profile.tone}` : null,
+        profile.preferredUrls.length ? `${profile.preferredUrls.length} preferred source(s)` : null
+      ].filter(Boolean).join(' · ');
+
+      item.appendChild(row);
+      item.appendChild(details);
+      list.appendChild(item);
+    });
+  }
+
+  async saveProfile() {
+    const id = document.getElementById('profileId').value;
+    const name = document.getElementById('profileName').value.trim();
+    const fromAliases = document.getElementById('profileAliases').value.split(/[,\n]/).map(alias => alias.trim().toLowerCase()).filter(Boolean);
+    const preferredUrls = document.getElementById('profilePreferredUrls').value.split('\n').map(url => url.trim()).filter(Boolean);
+
+    if (!name) {
+      this.showStatus('Profile name is required', 'error');
+      return;
+    }
+
+    const invalidAlias = fromAliases.find(alias => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(alias));
+    if (invalidAlias) {
+      this.showStatus(`"${invalidAlias}" is not an email address`, 'error');
+      return;
+    }
+
+    const invalidUrl = preferredUrls.find(url => !this.isValidBaseUrl(url));
+    if (invalidUrl) {
+      this.showStatus(`"${invalidUrl}" is not a valid URL`, 'error');
+      return;
+    }
+
+    // An alias can only pick one profile
+    const takenAlias = fromAliases.find(alias => this.profiles.some(other => other.id !== id && other.fromAliases.includes(alias)));
+    if (takenAlias) {
+      this.showStatus(`${takenAlias} is already used by another profile`, 'error');
+      return;
+    }
+
+    const profile = {
+      id: id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: name,
+      fromAliases: fromAliases,
+      tone: document.getElementById('profileTone').value.trim(),
+      fallbackMessage: document.getElementById('profileFallback').value.trim(),
+      signature: document.getElementById('profileSignature').value.trim(),
+      rules: document.getElementById('profileRules').value.trim(),
+      preferredUrls: preferredUrls
+    };
+
+    const existingIndex = this.profiles.findIndex(item => item.id === profile.id);
+    if (existingIndex >= 0) {
+      this.profiles[existingIndex] = profile;
+    } else {
+      this.profiles.push(profile);
+    }
+
+    try {
+      await this.storage.setProfiles(this.profiles);
+      this.resetProfileForm();
+      this.renderProfileList();
+      this.showStatus('Profile saved!', 'success');
+    } catch (error) {
+      console.error('Error saving profile:', error);
+      this.showStatus('Error saving profile: ' + error.message, 'error');
+    }
+  }
+
+  editProfile(id) {
+    const profile = this.profiles.find(item => item.id === id);
+    if (!profile) return;
+
+    document.getElementById('profileId').value = profile.id;
+    document.getElementById('profileName').value = profile.name;
+    document.getElementById('profileAliases').value = profile.fromAliases.join(', ');
+    document.getElementById('profileTone').value = profile.tone;
+    document.getElementById('profileFallback').value = profile.fallbackMessage;
+    document.getElementById('profileSignature').value = profile.signature;
+    document.getElementById('profileRules').value = profile.rules;
+    document.getElementById('profilePreferredUrls').value = profile.preferredUrls.join('\n');
+    document.getElementById('saveProfile').textContent = 'Update Profile';
+    document.getElementById('cancelProfile').classList.remove('hidden');
+    document.getElementById('profileName').focus();
+  }
+
+  async deleteProfile(id) {
+    const profile = this.profiles.find(item => item.id === id);
+    if (!profile || !confirm(`Delete the profile "${profile.name}"?`)) {
+      return;
+    }
+
+    this.profiles = this.profiles.filter(item => item.id !== id);
+    Object.values(this.intentRoutes).forEach(route => {
+      if (route.profileId === id) delete route.profileId;
+    });
+    try {
+      await this.storage.setProfiles(this.profiles);
+      await this.storage.setIntentRoutes(this.intentRoutes);
+    } catch (error) {
+      console.error('Error deleting profile:', error);
+      this.showStatus('Error deleting profile: ' + error.message, 'error');
+    }
+    this.renderProfileList();
+
+    if (document.getElementById('profileId').value === id) {
+      this.resetProfileForm();
+    }
+  }
+
+  resetProfileForm() {
+    ['profileId', 'profileName', 'profileAliases', 'profileTone', 'profileFallback', 'profileSignature', 'profileRules', 'profilePreferredUrls'].forEach(fieldId => {
+      document.getElementById(fieldId).value = '';
+    });
+    document.getElementById('saveProfile').textContent = 'Add Profile';
+    document.getElementById('cancelProfile').classList.add('hidden');
+  }
+
+  // One row per email category with its profile, preferred sources and fallback
+  renderIntentRoutes() {
+    const list = document.getElementById('intentRouteList');
+    list.innerHTML = '';
+
+    const fieldClass = 'w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-sm placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+    Intents.getCategories().forEach(category => {
+      const route = this.intentRoutes[category.id] || {};
+      const item = document.createElement('li');
+      item.className = 'px-3 py-3 space-y-2';
+
+      const label = document.createElement('p');
+      label.className = 'text-sm font-medium text-gray-900';
+      label.textContent = category.label;
+      const description = document.createElement('p');
+      description.className = 'text-xs text-gray-500';
+      description.textContent = category.description;
+
+      const profileSelect = document.createElement('select');
+      profileSelect.className = `${fieldClass} h-10`;
+      profileSelect.dataset.autosave = 'false';
+      profileSelect.setAttribute('aria-label', `Profile for ${category.label}`);
+      [{ id: '', name: 'Profile: chosen by From alias' }, ...this.profiles].forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.id ? `Profile: ${profile.name}` : profile.name;
+        profileSelect.appendChild(option);
+      });
+      profileSelect.value = this.profiles.some(profile => profile.id === route.profileId) ? route.profileId : '';
+
+      const urls = document.createElement('textarea');
+      urls.className = `${fieldClass} min-h-[40px] resize-y`;
+      urls.dataset.autosave = 'false';
+      urls.rows = 1;
+      urls.placeholder = category.preferredUrls.length
+        ? `Preferred sources (default: ${category.preferredUrls.join(', ')})`
+        : 'Preferred sources, one URL per line (optional)';
+      urls.setAttribute('aria-label', `Preferred sources for ${category.label}`);
+      urls.value = (route.preferredUrls || []).join('\n');
+
+      const fallback = document.createElement('textarea');
+      fallback.className = `${fieldClass} min-h-[40px] resize-y`;
+      fallback.dataset.autosave = 'false';
+      fallback.rows = 1;
+      fallback.placeholder = category.fallbackMessage
+        ? `Fallback (default: ${category.fallbackMessage})`
+        : 'Fallback message (optional - uses the profile or Response Settings)';
+      fallback.setAttribute('aria-label', `Fallback message for ${category.label}`);
+      fallback.value = route.fallbackMessage || '';
+
+      [profileSelect, urls, fallback].forEach(field => {
+        field.addEventListener('change', () => this.saveIntentRoute(category.id, profileSelect, urls, fallback));
+      });
+
+      item.append(label, description, profileSelect, urls, fallback);
+      list.appendChild(item);
+    });
+  }
+
+  async saveIntentRoute(categoryId, profileSelect, urlsField, fallbackField) {
+    const preferredUrls = urlsField.value.split('\n').map(url => url.trim()).filter(Boolean);
+    const invalidUrl = preferredUrls.find(url => !this.isValidBaseUrl(url));
+    if (invalidUrl) {
+      this.showStatus(`"${invalidUrl}" is not a valid URL`, 'error');
+      return;
+    }
+
+    const route = {
+      profileId: profileSelect.value,
+      preferredUrls: preferredUrls,
+      fallbackMessage: fallbackField.value.trim()
+    };
+    if (!route.profileId && preferredUrls.length === 0 && !route.fallbackMessage) {
+      delete this.intentRoutes[categoryId];
+    } else {
+      this.intentRoutes[categoryId] = route;
+    }
+
+    try {
+      await this.storage.setIntentRoutes(this.intentRoutes);
+      this.showStatus('Category routing saved!', 'success');
+    } catch (error) {
+      console.error('Error saving category routing:', error);
+      this.showStatus('Error saving category routing: ' + error.message, 'error');
+    }
+  }
+
+  renderRewriteActionList() {
+    const list = document.getElementById('rewriteActionList');
+    list.innerHTML = '';
+
+    if (this.customRewriteActions.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'px-3 py-2 text-sm text-gray-500';
+      empty.textContent = 'No custom actions yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    this.customRewriteActions.forEach(action => {
+      const item = document.createElement('li');
+      item.className = 'px-3 py-2';
+
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-3';
+
+      const label = document.createElement('span');
+      label.className = 'text-sm font-medium text-gray-900 truncate';
+      label.textContent = action.label;
+
+      const actions = document.createElement('div');
+      actions.className = 'flex shrink-0 items-center gap-3';
+
+      const edit = document.createElement('button');
+      edit.className = 'text-xs text-blue-600 hover:underline';
+      edit.textContent = 'Edit';
+      edit.addEventListener('click', () => this.editRewriteAction(action.id));
+
+      const remove = document.createElement('button');
+      remove.className = 'text-xs text-red-600 hover:underline';
+      remove.textContent = 'Delete';
+      remove.addEventListener('click', () => this.deleteRewriteAction(action.id));
+
+      actions.appendChild(edit);
+      actions.appendChild(remove);
+      row.appendChild(label);
+      row.appendChild(actions);
+
+      const details = document.createElement('p');
+      details.className = 'text-xs text-gray-500 mt-1 truncate';
+      details.textContent = action.instruction;
+
+      item.appendChild(row);
+      item.appendChild(details);
+      list.appendChild(item);
+    });
+  }
+
+  async saveRewriteAction() {
+    const id = document.getElementById('rewriteActionId').value;
+    const label = document.getElementById('rewriteActionLabel').value.trim();
+    const instruction = document.getElementById('rewriteActionInstruction').value.trim();
+
+    if (!label || !instruction) {
+      this.showStatus('Action label and instruction are required', 'error');
+      return;
+    }
+
+    const action = {
+      id: id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      label: label,
+      instruction: instruction
+    };
+
+    const existingIndex = this.customRewriteActions.findIndex(item => item.id === action.id);
+    if (existingIndex >= 0) {
+      this.customRewriteActions[existingIndex] = action;
+    } else {
+      this.customRewriteActions.push(action);
+    }
+
+    try {
+      await this.storage.setCustomRewriteActions(this.customRewriteActions);
+      this.resetRewriteActionForm();
+      this.renderRewriteActionList();
+      this.showStatus('Rewrite action saved!', 'success');
+    } catch (error) {
+      console.error('Error saving rewrite action:', error);
+      this.showStatus('Error saving rewrite action: ' + error.message, 'error');
+    }
+  }
+
+  editRewriteAction(id) {
+    const action = this.customRewriteActions.find(item => item.id === id);
+    if (!action) return;
+
+    document.getElementById('rewriteActionId').value = action.id;
+    document.getElementById('rewriteActionLabel').value = action.label;
+    document.getElementById('rewriteActionInstruction').value = action.instruction;
+    document.getElementById('saveRewriteAction').textContent = 'Update Action';
+    document.getElementById('cancelRewriteAction').classList.remove('hidden');
+    document.getElementById('rewriteActionLabel').focus();
+  }
+
+  async deleteRewriteAction(id) {
+    const action = this.customRewriteActions.find(item => item.id === id);
+    if (!action || !confirm(`Delete the rewrite action "${action.label}"?`)) {
+      return;
+    }
+
+    this.customRewriteActions = this.customRewriteActions.filter(item => item.id !== id);
+    try {
+      await this.storage.setCustomRewriteActions(this.customRewriteActions);
+    } catch (error) {
+      console.error('Error deleting rewrite action:', error);
+      this.showStatus('Error deleting rewrite action: ' + error.message, 'error');
+    }
+    this.renderRewriteActionList();
+
+    if (document.getElementById('rewriteActionId').value === id) {
+      this.resetRewriteActionForm();
+    }
+  }
+
+  resetRewriteActionForm() {
+    ['rewriteActionId', 'rewriteActionLabel', 'rewriteActionInstruction'].forEach(fieldId => {
+      document.getElementById(fieldId).value = '';
+    });
+    document.getElementById('saveRewriteAction').textContent = 'Add Action';
+    document.getElementById('cancelRewriteAction').classList.add('hidden');
+  }
+
+  // Show per-URL freshness and fetch status from the last refresh
+  async renderSourceStatus() {
+    const list = document.getElementById('sourceStatus');
+    const cache = await this.storage.getSiteCache();
+    const pages = (cache && cache.pages) || [];
+    list.innerHTML = '';
+
+    if (pages.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'px-3 py-2 text-sm text-gray-500';
+      empty.textContent = 'Not fetched yet - click "Refresh Content"';
+      list.appendChild(empty);
+      return;
+    }
+
+    const badges = {
+      'ok': { label: 'Updated', className: 'bg-green-100 text-green-800' },
+      'not-modified': { label: 'Unchanged', className: 'bg-blue-100 text-blue-800' },
+      'error': { label: 'Failed', className: 'bg-red-100 text-red-800' }
+    };
+
+    pages.forEach(page => {
+      const item = document.createElement('li');
+      item.className = 'px-3 py-2';
+
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-3';
+
+      const label = document.createElement('span');
+      label.className = 'text-sm font-mono text-gray-700 truncate';
+      label.textContent = page.url;
+
+      const badge = badges[page.status] || { label: 'Cached', className: 'bg-gray-100 text-gray-800' };
+      const status = document.createElement('span');
+      status.className = `shrink-0 rounded px-2 py-0.5 text-xs font-medium ${badge.className}`;
+      status.textContent = badge.label;
+
+      const details = document.createElement('p');
+      details.className = 'text-xs text-gray-500 mt-1';
+      const parts = [];
+      if (page.fetchedAt) {
+        parts.push(`content from ${this.formatAge(page.fetchedAt)}`);
+      }
+      if (page.checkedAt) {
+        parts.push(`checked ${this.formatAge(page.checkedAt)}`);
+      }
+      if (page.status === 'error') {
+        parts.push(page.text ? `${page.error} - using last good copy` : page.error);
+      }
+      details.textContent = parts.join(' · ');
+
+      row.appendChild(label);
+      row.appendChild(status);
+      item.appendChild(row);
+      item.appendChild(details);
+      list.appendChild(item);
+    });
+  }
+
+  formatAge(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} h ago`;
+    return `${Math.round(hours / 24)} days ago`;
+  }
+
+  populateCrawlSettings(crawlSettings) {
+    document.getElementById('crawlEnabled').checked = !!crawlSettings.enabled;
+    document.getElementById('crawlDepth').value = crawlSettings.depth;
+    document.getElementById('crawlMaxPages').value = crawlSettings.maxPages;
+  }
+
+  renderShortcutList() {
+    const list = document.getElementById('shortcutList');
+    list.innerHTML = '';
+
+    const bindings = Shortcuts.resolve(this.shortcuts);
+    const conflicts = Shortcuts.findConflicts(bindings);
+
+    Shortcuts.getActions().forEach(action => {
+      const item = document.createElement('li');
+      item.className = 'px-3 py-2';
+
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-3';
+
+      const text = document.createElement('div');
+      text.className = 'min-w-0';
+      const label = document.createElement('p');
+      label.className = 'text-sm font-medium text-gray-900';
+      label.textContent = action.label;
+      const description = document.createElement('p');
+      description.className = 'text-xs text-gray-500 truncate';
+      description.textContent = action.description;
+      text.append(label, description);
+
+      // Records the next key combination pressed while focused
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.readOnly = true;
+      input.dataset.autosave = 'false';
+      input.className = 'w-40 h-10 shrink-0 rounded-md border border-gray-300 bg-white px-3 py-2 text-sm text-center placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+      input.placeholder = 'Off';
+      input.value = Shortcuts.format(bindings[action.id]);
+      input.setAttribute('aria-label', `Shortcut for ${action.label}`);
+      input.addEventListener('keydown', (e) => this.recordShortcut(action.id, e));
+
+      row.append(text, input);
+      item.appendChild(row);
+
+      const conflict = conflicts.find(candidate => candidate.actionId === action.id);
+      if (conflict) {
+        const warning = document.createElement('p');
+        warning.className = `text-xs mt-1 ${conflict.blocking ? 'text-red-600' : 'text-yellow-700'}`;
+        warning.textContent = conflict.message;
+        item.appendChild(warning);
+      }
+      list.appendChild(item);
+    });
+  }
+
+  recordShortcut(actionId, event) {
+    if (event.key === 'Tab') return;
+    event.preventDefault();
+
+    if (event.key === 'Escape') {
+      event.target.blur();
+      return;
+    }
+
+    let key;
+    if ((event.key === 'Backspace' || event.key === 'Delete') && !event.ctrlKey && !event.altKey && !event.metaKey) {
+      key = '';
+    } else {
+      key = Shortcuts.fromEvent(event);
+      if (!key) return; // only a modifier so far
+    }
+
+    const defaultKey = Shortcuts.getActions().find(action => action.id === actionId).defaultKey;
+    if (key === defaultKey) {
+      delete this.shortcuts[actionId];
+    } else {
+      this.shortcuts[actionId] = key;
+    }
+    this.renderShortcutList();
+    this.saveShortcuts();
+  }
+
+  // Shortcuts that can't work (no modifier, used twice) aren't saved until fixed
+  async saveShortcuts() {
+    const blocking = Shortcuts.findConflicts(Shortcuts.resolve(this.shortcuts)).find(conflict => conflict.blocking);
+    if (blocking) {
+      this.showStatus(`${blocking.key}: ${blocking.message}`, 'error');
+      return;
+    }
+
+    try {
+      await this.storage.setSyncData({ shortcuts: this.shortcuts });
+      this.showStatus('Shortcuts saved!', 'success');
+    } catch (error) {
+      console.error('Error saving shortcuts:', error);
+      this.showStatus('Error saving shortcuts: ' + error.message, 'error');
+    }
+  }
+
+  // Manifest commands, which work even before the page has focus; set in Chrome's own settings
+  async renderBrowserShortcuts() {
+    const text = document.getElementById('browserShortcuts');
+    try {
+      const commands = await chrome.commands.getAll();
+      const labels = Object.fromEntries(Shortcuts.getActions().map(action => [action.id, action.label]));
+      const assigned = commands
+        .filter(command => command.shortcut && labels[command.name])
+        .map(command => `${labels[command.name]}: ${command.shortcut}`);
+      text.textContent = assigned.length
+        ? `Also set in Chrome: ${assigned.join(' · ')}. Chrome keeps these when you change the keys above, so update or clear them there too.`
+        : 'None assigned - the keys above are all you need inside Gmail. Chrome shortcuts are optional and also work when the page doesn\'t have focus.';
+    } catch (error) {
+      text.textContent = 'Browser-level shortcuts are managed in Chrome at chrome://extensions/shortcuts.';
+    }
+  }
+
+  // Clickable {{variable}} chips that insert at the cursor
+  renderPromptVariables() {
+    const container = document.getElementById('promptVariables');
+    const textarea = document.getElementById('promptTemplateText');
+    container.innerHTML = '';
+
+    PromptTemplates.getVariables().forEach(variable => {
+      const chip = document.createElement('button');
+      chip.className = 'rounded bg-blue-50 px-2 py-0.5 font-mono text-xs text-blue-700 hover:bg-blue-100';
+      chip.textContent = `{{${variable.name}}}`;
+      chip.title = variable.description;
+      chip.addEventListener('click', () => {
+        textarea.setRangeText(`{{${variable.name}}}`, textarea.selectionStart, textarea.selectionEnd, 'end');
+        textarea.focus();
+        this.updatePromptTemplate();
+      });
+      container.appendChild(chip);
+    });
+  }
+
+  populatePromptTemplate() {
+    const name = document.getElementById('promptTemplateName').value;
+    document.getElementById('promptTemplateText').value = PromptTemplates.get(name, this.promptTemplates);
+    this.renderPromptTemplateStatus();
+  }
+
+  // Keep only real changes as overrides so future default improvements still apply
+  updatePromptTemplate() {
+    const name = document.getElementById('promptTemplateName').value;
+    const text = document.getElementById('promptTemplateText').value;
+
+    if (text.trim() === PromptTemplates.getDefaults()[name].trim()) {
+      delete this.promptTemplates[name];
+    } else {
+      this.promptTemplates[name] = text;
+    }
+    this.renderPromptTemplateStatus();
+  }
+
+  renderPromptTemplateStatus() {
+    const name = document.getElementById('promptTemplateName').value;
+    const text = document.getElementById('promptTemplateText').value;
+    const errorList = document.getElementById('promptTemplateErrors');
+
+    errorList.innerHTML = '';
+    PromptTemplates.validate(name, text).forEach(error => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      errorList.appendChild(item);
+    });
+
+    document.getElementById('promptTemplateState').textContent = this.promptTemplates[name] ? 'Customized' : 'Default template';
+    this.renderPromptPreview();
+  }
+
+  // First problem across all customized templates, or null
+  getPromptTemplateProblem() {
+    for (const name of PromptTemplates.getTemplateNames()) {
+      if (!this.promptTemplates[name]) continue;
+
+      const errors = PromptTemplates.validate(name, this.promptTemplates[name]);
+      if (errors.length > 0) {
+        const label = document.querySelector(`#promptTemplateName option[value="${name}"]`).textContent;
+        return `Prompt template "${label}": ${errors[0]}`;
+      }
+    }
+    return null;
+  }
+
+  // Render the selected template's prompts against a sample email
+  renderPromptPreview() {
+    const name = document.getElementById('promptTemplateName').value;
+    const isRewrite = name.startsWith('rewrite');
+    const sample = this.getSamplePromptData();
+    const defaults = this.storage.getDefaultSettings();
+    const provider = new LLMProvider('', 'openai', {
+      promptTemplates: this.promptTemplates,
+      greetingStyle: document.getElementById('greetingStyle').value
+    });
+
+    const values = provider.buildPromptValues(
+      sample.thread,
+      isRewrite ? [] : sample.knowledge,
+      document.getElementById('tone').value.trim() || defaults.tone,
+      document.getElementById('fallbackMessage').value.trim() || defaults.fallbackMessage,
+      isRewrite ? sample.existingDraft : null
+    );
+
+    const systemPrompt = provider.buildSystemPrompt(isRewrite, null, values);
+    const userPrompt = provider.buildUserPrompt(values);
+    document.getElementById('promptPreview').textContent = `SYSTEM\n${systemPrompt}\n\nUSER\n${userPrompt}`;
+  }
+
+  getSamplePromptData() {
+    return {
+      thread: [
+        {
+          senderName: 'Jamie Rivera',
+          senderEmail: 'jamie.rivera@example.com',
+          recipients: [{ name: 'Jeep Beach', email: 'info@jeepbeach.com' }],
+          timestamp: 'Mar 3, 2026, 9:14 AM',
+          subject: 'Parking for the beach day',
+          body: 'Hi! Do we need a separate parking pass for the beach day, or is it included with registration? Thanks!',
+          isOwn: false,
+          collapsed: false
+        }
+      ],
+      knowledge: [
+        {
+          source: 'snippet',
+          heading: 'Beach day parking',
+          text: 'Beach day parking is included with every registered vehicle. Show your registration wristband at the gate.',
+          updatedAt: Date.now()
+        },
+        {
+          source: 'site',
+          url: 'https://jeepbeach.com/faq/',
+          heading: 'Registration',
+          text: 'Registration covers one vehicle and its passengers for all official Jeep Beach events.'
+        }
+      ],
+      existingDraft: 'parking is included w/ registration, just show ur wristband'
+    };
+  }
+
+  populateModelSettings(mode, modelSettings) {
+    document.getElementById(`${mode}Model`).value = modelSettings.model || '';
+    document.getElementById(`${mode}Temperature`).value = modelSettings.temperature;
+    document.getElementById(`${mode}MaxTokens`).value = modelSettings.maxTokens;
+  }
+
+  readModelSettings(mode) {
+    return {
+      model: document.getElementById(`${mode}Model`).value.trim(),
+      temperature: parseFloat(document.getElementById(`${mode}Temperature`).value),
+      maxTokens: parseInt(document.getElementById(`${mode}MaxTokens`).value, 10)
+    };
+  }
+
+  toggleProviderFields() {
+    const isCustom = document.getElementById('provider').value === 'custom';
+    document.getElementById('customProviderFields').classList.toggle('hidden', !isCustom);
+    document.getElementById('apiKeyGroup').classList.toggle('hidden', isCustom);
+
+    const maxTemperature = String(LLMProvider.getMaxTemperature(document.getElementById('provider').value));
+    ['draftTemperature', 'rewriteTemperature'].forEach(fieldId => {
+      document.getElementById(fieldId).max = maxTemperature;
+    });
+  }
+
+  isValidBaseUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Ask for access to a user-supplied endpoint (must run from a user gesture)
+  async ensureHostPermission(baseUrl) {
+    const origins = [`${new URL(baseUrl).origin}/*`];
+
+    return new Promise((resolve) => {
+      chrome.permissions.contains({ origins }, (hasPermission) => {
+        if (hasPermission) {
+          resolve(true);
+          return;
+        }
+
+        chrome.permissions.request({ origins }, (granted) => {
+          resolve(!!granted && !chrome.runtime.lastError);
+        });
+      });
+    });
+  }
+
+  async loadCustomModels() {
+    const button = document.getElementById('loadModels');
+    const originalText = button.textContent;
+    const baseUrl = document.getElementById('customBaseUrl').value.trim();
+
+    try {
+      button.disabled = true;
+      button.textContent = 'Loading...';
+
+      if (!this.isValidBaseUrl(baseUrl)) {
+        throw new Error('Enter a valid http(s) base URL first');
+      }
+
+      const granted = await this.ensureHostPermission(baseUrl);
+      if (!granted) {
+        throw new Error('Permission to access ' + new URL(baseUrl).origin + ' was denied');
+      }
+
+      const provider = new LLMProvider(document.getElementById('customApiKey').value.trim(), 'custom', {
+        baseUrl: baseUrl
+      });
+      const models = await provider.getAvailableModels();
+
+      if (models.length === 0) {
+        throw new Error('No models returned by ' + baseUrl);
+      }
+
+      const list = document.getElementById('customModelList');
+      list.innerHTML = '';
+      models.forEach(model => {
+        const option = document.createElement('option');
+        option.value = model.id;
+        list.appendChild(option);
+      });
+
+      const modelInput = document.getElementById('customModel');
+      if (!modelInput.value) {
+        modelInput.value = models[0].id;
+      }
+
+      this.showStatus(`Found ${models.length} model(s)`, 'success');
+
+    } catch (error) {
+      console.error('Error loading models:', error);
+      this.showStatus('Loading models failed: ' + error.message, 'error');
+    } finally {
+      button.disabled = false;
+      button.textContent = originalText;
+    }
+  }
+
   showStatus(message, type) {
     const status = document.getElementById('status');
     status.textContent = message;
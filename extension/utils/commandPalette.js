@@ -0,0 +1,158 @@
+// Searchable list of ChatJeePT actions shown over Gmail (opened with a shortcut)
+// Items: [{ id, label, group, shortcut, title }]; typing filters, arrows move, Enter runs.
+// options.placeholder replaces the search hint (the quick-reply picker uses the same overlay)
+class CommandPalette {
+  constructor(options = {}) {
+    this.onSelect = options.onSelect || (() => {});
+    this.overlay = null;
+    this.items = [];
+    this.filtered = [];
+    this.activeIndex = 0;
+  }
+
+  isOpen() {
+    return !!this.overlay;
+  }
+
+  show(items, options = {}) {
+    this.hide();
+    this.items = items;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'jeepbeach-palette-overlay';
+    overlay.addEventListener('mousedown', (e) => {
+      if (e.target === overlay) this.hide();
+    });
+
+    const palette = document.createElement('div');
+    palette.className = 'jeepbeach-palette';
+    palette.setAttribute('role', 'dialog');
+    palette.setAttribute('aria-label', 'ChatJeePT commands');
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'jeepbeach-palette-input';
+    input.placeholder = options.placeholder || 'Type a command, rewrite, quick reply, snippet or profile...';
+    input.setAttribute('aria-label', 'Search commands');
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-controls', 'jeepbeach-palette-list');
+
+    const list = document.createElement('ul');
+    list.className = 'jeepbeach-palette-list';
+    list.id = 'jeepbeach-palette-list';
+    list.setAttribute('role', 'listbox');
+
+    input.addEventListener('input', () => this.filter(input.value, list));
+
+    // Keep Gmail shortcuts from firing while typing in the palette
+    palette.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.hide();
+      } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.setActive((this.activeIndex + step + this.filtered.length) % Math.max(this.filtered.length, 1), list);
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        this.select(this.filtered[this.activeIndex]);
+      }
+    });
+
+    palette.append(input, list);
+    overlay.appendChild(palette);
+    document.body.appendChild(overlay);
+    this.overlay = overlay;
+
+    this.filter('', list);
+    input.focus();
+  }
+
+  hide() {
+    if (this.overlay) {
+      this.overlay.remove();
+      this.overlay = null;
+    }
+  }
+
+  // Every word of the query has to appear in the label or group
+  filter(query, list) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    this.filtered = this.items.filter(item => {
+      const haystack = `${item.group || ''} ${item.label}`.toLowerCase();
+      return words.every(word => haystack.includes(word));
+    });
+
+    list.innerHTML = '';
+    if (this.filtered.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'jeepbeach-palette-empty';
+      empty.textContent = 'No matching commands';
+      list.appendChild(empty);
+      return;
+    }
+
+    this.filtered.forEach((item, i) => {
+      const row = document.createElement('li');
+      row.className = 'jeepbeach-palette-item';
+      row.id = `jeepbeach-palette-item-${i}`;
+      row.setAttribute('role', 'option');
+      if (item.title) {
+        row.title = item.title;
+      }
+
+      const label = document.createElement('span');
+      label.className = 'jeepbeach-palette-label';
+      label.textContent = item.group ? `${item.group}: ${item.label}` : item.label;
+      row.appendChild(label);
+
+      if (item.shortcut) {
+        const shortcut = document.createElement('kbd');
+        shortcut.className = 'jeepbeach-palette-shortcut';
+        shortcut.textContent = item.shortcut;
+        row.appendChild(shortcut);
+      }
+
+      // mousedown so the input doesn't lose focus first
+      row.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this.select(item);
+      });
+      row.addEventListener('mousemove', () => {
+        if (this.activeIndex !== i) this.setActive(i, list);
+      });
+      list.appendChild(row);
+    });
+
+    this.setActive(0, list);
+  }
+
+  setActive(index, list) {
+    this.activeIndex = index;
+    list.querySelectorAll('.jeepbeach-palette-item').forEach((row, i) => {
+      row.setAttribute('aria-selected', String(i === index));
+      if (i === index) {
+        row.scrollIntoView({ block: 'nearest' });
+      }
+    });
+
+    const input = this.overlay && this.overlay.querySelector('.jeepbeach-palette-input');
+    if (input) {
+      input.setAttribute('aria-activedescendant', `jeepbeach-palette-item-${index}`);
+    }
+  }
+
+  select(item) {
+    if (!item) return;
+    this.hide();
+    this.onSelect(item.id);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CommandPalette;
+} else {
+  self.CommandPalette = CommandPalette;
+}
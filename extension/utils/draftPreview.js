@@ -0,0 +1,488 @@
+// Side panel that shows a generated draft before it touches the compose box
+// History is kept per compose window so earlier versions can be restored
+class DraftPreview {
+  constructor(options = {}) {
+    this.onAction = options.onAction || (() => {});
+    this.maxHistory = 10;
+    this.historyPrefix = 'jeepbeach-history-';
+
+    this.panel = null;
+    this.composeId = null;
+    this.index = 0;
+    this.variantIndex = 0;
+    this.currentEntry = null;
+    this.streaming = false;
+    this.includeSources = false; // remembered while the page is open
+    this.labels = {
+      draft: 'Generated draft',
+      rewrite: 'Rewrite',
+      previous: 'Your text before replace'
+    };
+  }
+
+  // History lives in sessionStorage so it survives the content script re-initializing
+  getHistory(composeId) {
+    try {
+      return JSON.parse(sessionStorage.getItem(this.historyPrefix + composeId)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Entry: { text, kind: 'draft' | 'rewrite' | 'previous', label, selection, profileName, truncated, stopped,
+  //          sources, unverified, variants, createdAt }
+  // label names the rewrite action; selection marks a rewrite of a selected passage;
+  // profileName is the reply profile it was written as
+  // sources: [{ number, url, heading, source }] knowledge the text cites
+  // unverified: [{ type, text }] dates, times, prices and URLs that no source backs up
+  // variants (optional): [{ approach, text, sources, unverified }] alternatives shown as cards; text is the first one
+  addToHistory(composeId, entry) {
+    const history = this.getHistory(composeId);
+    history.push({ truncated: false, ...entry, createdAt: new Date().toISOString() });
+
+    const trimmed = history.slice(-this.maxHistory);
+    try {
+      sessionStorage.setItem(this.historyPrefix + composeId, JSON.stringify(trimmed));
+    } catch (error) {
+      console.error('Error saving draft history:', error);
+    }
+    return trimmed;
+  }
+
+  // Open the panel on a history entry (latest by default)
+  show(composeId, index = null) {
+    const history = this.getHistory(composeId);
+    if (history.length === 0) return;
+
+    this.composeId = composeId;
+    this.streaming = false;
+    this.index = index === null ? history.length - 1 : Math.max(0, Math.min(index, history.length - 1));
+    this.variantIndex = 0;
+    this.render(history[this.index], this.index, history.length);
+  }
+
+  // Open the panel in streaming mode; text arrives through updateStream.
+  // info: { kind, variantCount, label, selection }
+  startStream(composeId, info) {
+    this.composeId = composeId;
+    this.streaming = true;
+    this.render({
+      text: '',
+      kind: info.kind,
+      label: info.label || null,
+      selection: !!info.selection,
+      variantCount: info.variantCount || 1,
+      streaming: true
+    }, 0, 1);
+  }
+
+  // Show the text received so far (ignored if the panel has moved to another compose box)
+  updateStream(composeId, text) {
+    if (!this.streaming || !this.isOpenFor(composeId)) return;
+
+    const textarea = this.panel.querySelector('.jeepbeach-preview-text');
+    textarea.value = text;
+    textarea.scrollTop = textarea.scrollHeight;
+  }
+
+  // Replace the "Generating..." label while waiting on something other than the model
+  setStreamStatus(composeId, status) {
+    if (!this.streaming || !this.isOpenFor(composeId)) return;
+    this.panel.querySelector('.jeepbeach-preview-version').textContent = status;
+  }
+
+  hide() {
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+    this.composeId = null;
+    this.streaming = false;
+  }
+
+  // Keyboard shortcuts: each returns false when there's nothing to act on
+  accept() {
+    const primary = this.panel && !this.streaming && this.panel.querySelector('.jeepbeach-preview-primary');
+    if (!primary) return false;
+    primary.click();
+    return true;
+  }
+
+  cycleVariant() {
+    const cards = this.panel ? [...this.panel.querySelectorAll('.jeepbeach-preview-variant')] : [];
+    if (cards.length < 2) return false;
+    cards[(this.variantIndex + 1) % cards.length].click();
+    return true;
+  }
+
+  cancel() {
+    if (!this.panel) return false;
+    this.onAction(this.streaming ? 'stop' : 'discard', this.composeId, this.getText());
+    return true;
+  }
+
+  isOpenFor(composeId) {
+    return !!this.panel && this.composeId === composeId;
+  }
+
+  // Current (possibly edited) text in the preview
+  getText() {
+    const textarea = this.panel && this.panel.querySelector('.jeepbeach-preview-text');
+    return textarea ? textarea.value : '';
+  }
+
+  // Text to insert: the preview text plus the source links if the user asked for them
+  getInsertText() {
+    const links = this.getDetails(this.currentEntry).sources.filter(source => source.source !== 'snippet' && source.url);
+    if (!this.includeSources || links.length === 0) {
+      return this.getText();
+    }
+
+    const lines = links.map(source => `- ${source.heading ? `${source.heading}: ` : ''}${source.url}`);
+    return `${this.getText().replace(/\s+$/, '')}\n\nSources:\n${lines.join('\n')}`;
+  }
+
+  // Sources and unverified claims for the entry, or for the variant being shown
+  getDetails(entry) {
+    const details = entry && entry.variants ? entry.variants[this.variantIndex] : entry;
+    return {
+      sources: (details && details.sources) || [],
+      unverified: (details && details.unverified) || []
+    };
+  }
+
+  render(entry, position, total) {
+    this.currentEntry = entry;
+    const panel = document.createElement('div');
+    panel.className = 'jeepbeach-preview-panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-label', 'ChatJeePT draft preview');
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'jeepbeach-preview-header';
+    const title = document.createElement('span');
+    title.className = 'jeepbeach-preview-title';
+    title.textContent = 'Draft preview';
+    const closeButton = this.createButton('×', 'Discard', 'jeepbeach-preview-close');
+    closeButton.setAttribute('aria-label', 'Discard');
+    header.append(title, closeButton);
+
+    // Version navigation
+    const nav = document.createElement('div');
+    nav.className = 'jeepbeach-preview-nav';
+    const previousButton = this.createButton('‹', 'Older version', 'jeepbeach-preview-step');
+    previousButton.disabled = entry.streaming || position === 0;
+    previousButton.addEventListener('click', () => this.show(this.composeId, this.index - 1));
+    const nextButton = this.createButton('›', 'Newer version', 'jeepbeach-preview-step');
+    nextButton.disabled = entry.streaming || position === total - 1;
+    nextButton.addEventListener('click', () => this.show(this.composeId, this.index + 1));
+    const versionLabel = document.createElement('span');
+    versionLabel.className = 'jeepbeach-preview-version';
+    const kindLabel = (entry.label || this.labels[entry.kind] || 'Draft') + (entry.selection ? ' (selection)' : '') +
+      (entry.profileName ? ` · ${entry.profileName}` : '');
+    versionLabel.textContent = entry.streaming
+      ? (entry.variantCount > 1 ? `Generating ${entry.variantCount} variants...` : `${entry.label || 'Generating'}...`)
+      : `${kindLabel} · ${position + 1} of ${total} · ${this.formatTime(entry.createdAt)}`;
+    nav.append(previousButton, versionLabel, nextButton);
+
+    panel.append(header, nav);
+
+    if (entry.truncated) {
+      const warning = document.createElement('div');
+      warning.className = 'jeepbeach-preview-warning';
+      warning.textContent = 'Cut off at the max token limit - review the ending or raise "Max tokens" in settings.';
+      panel.appendChild(warning);
+    } else if (entry.stopped) {
+      const warning = document.createElement('div');
+      warning.className = 'jeepbeach-preview-warning';
+      warning.textContent = 'Stopped before the reply finished.';
+      panel.appendChild(warning);
+    }
+
+    // Structured output mode also reports confidence, fallback use and follow-up questions
+    if (entry.confidence !== null && entry.confidence !== undefined) {
+      panel.appendChild(this.renderReplyInfo(entry));
+    }
+
+    // Editable so small fixes can be made before inserting; unverified claims are
+    // highlighted by a layer behind the (transparent) textarea
+    const editor = document.createElement('div');
+    editor.className = 'jeepbeach-preview-editor';
+    const highlights = document.createElement('div');
+    highlights.className = 'jeepbeach-preview-highlights';
+    highlights.setAttribute('aria-hidden', 'true');
+    const textarea = document.createElement('textarea');
+    textarea.className = 'jeepbeach-preview-text';
+    textarea.value = entry.variants ? entry.variants[this.variantIndex].text : entry.text;
+    textarea.spellcheck = true;
+    textarea.readOnly = !!entry.streaming;
+    editor.append(highlights, textarea);
+
+    const claims = document.createElement('div');
+    claims.className = 'jeepbeach-preview-claims';
+    const sources = document.createElement('div');
+    sources.className = 'jeepbeach-preview-sources';
+
+    const refreshDetails = () => {
+      const details = this.getDetails(entry);
+      this.renderClaims(claims, details.unverified);
+      this.renderSources(sources, details.sources);
+      this.updateHighlights(highlights, textarea, details.unverified);
+    };
+    textarea.addEventListener('input', () => this.updateHighlights(highlights, textarea, this.getDetails(entry).unverified));
+    textarea.addEventListener('scroll', () => {
+      highlights.scrollTop = textarea.scrollTop;
+    });
+
+    if (entry.variants && entry.variants.length > 1) {
+      panel.appendChild(this.renderVariantCards(entry, textarea, refreshDetails));
+    }
+    panel.append(claims, editor, sources);
+
+    // Actions
+    const actions = document.createElement('div');
+    actions.className = 'jeepbeach-preview-actions';
+    panel.appendChild(actions);
+
+    // Keep Gmail shortcuts from firing while typing in the preview
+    panel.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Escape') {
+        this.onAction(entry.streaming ? 'stop' : 'discard', this.composeId, this.getText());
+      }
+    });
+
+    this.mountPanel(panel);
+    refreshDetails(); // after mounting so the highlight layer can measure the textarea
+
+    if (entry.streaming) {
+      const stopButton = this.createButton('Stop', 'Stop generating and keep the text so far', 'jeepbeach-preview-discard');
+      stopButton.addEventListener('click', () => this.onAction('stop', this.composeId, this.getText()));
+      actions.appendChild(stopButton);
+      closeButton.addEventListener('click', () => this.onAction('stop', this.composeId, this.getText()));
+      return;
+    }
+
+    let primaryAction = entry.kind === 'draft' ? 'insert' : 'replace';
+    let cursorAction = ['cursor', 'Insert at cursor', 'Insert where the cursor was in the message'];
+    if (entry.selection) {
+      primaryAction = 'cursor';
+      cursorAction = ['cursor', 'Replace selection', 'Put the rewrite in place of the selected passage'];
+    }
+
+    [
+      ['insert', 'Insert', 'Put the draft above anything already in the message'],
+      ['replace', 'Replace', 'Replace the message text (your current text is kept in history)'],
+      ['append', 'Append', 'Add the draft after the current message text'],
+      cursorAction
+    ].forEach(([action, label, tooltip]) => {
+      const button = this.createButton(label, tooltip, action === primaryAction ? 'jeepbeach-preview-primary' : '');
+      button.addEventListener('click', () => this.onAction(action, this.composeId, this.getInsertText(), this.currentEntry));
+      actions.appendChild(button);
+    });
+    const discardButton = this.createButton('Discard', 'Close without changing the message', 'jeepbeach-preview-discard');
+    actions.appendChild(discardButton);
+
+    [closeButton, discardButton].forEach(button => {
+      button.addEventListener('click', () => this.onAction('discard', this.composeId, this.getText()));
+    });
+  }
+
+  // One card per alternative; picking a card swaps it into the textarea
+  renderVariantCards(entry, textarea, onSwitch) {
+    const cards = document.createElement('div');
+    cards.className = 'jeepbeach-preview-variants';
+    cards.setAttribute('role', 'tablist');
+
+    entry.variants.forEach((variant, i) => {
+      const card = document.createElement('button');
+      card.type = 'button';
+      card.className = 'jeepbeach-preview-variant';
+      card.setAttribute('role', 'tab');
+      card.setAttribute('aria-selected', String(i === this.variantIndex));
+
+      const approach = document.createElement('span');
+      approach.className = 'jeepbeach-preview-variant-approach';
+      approach.textContent = `${i + 1}. ${variant.approach}`;
+      const excerpt = document.createElement('span');
+      excerpt.className = 'jeepbeach-preview-variant-excerpt';
+      excerpt.textContent = variant.text.length > 90 ? `${variant.text.substring(0, 90)}…` : variant.text;
+      card.append(approach, excerpt);
+
+      card.addEventListener('click', () => {
+        // Keep edits made to the current option while switching (not saved to history)
+        entry.variants[this.variantIndex].text = textarea.value;
+        this.variantIndex = i;
+        textarea.value = entry.variants[i].text;
+        cards.querySelectorAll('.jeepbeach-preview-variant').forEach((other, j) => {
+          other.setAttribute('aria-selected', String(j === i));
+        });
+        onSwitch();
+      });
+      cards.appendChild(card);
+    });
+
+    return cards;
+  }
+
+  renderReplyInfo(entry) {
+    const info = document.createElement('div');
+    info.className = 'jeepbeach-preview-info';
+
+    const badges = document.createElement('div');
+    const confidence = document.createElement('span');
+    confidence.className = 'jeepbeach-preview-badge' + (entry.confidence < 0.5 ? ' jeepbeach-preview-badge-low' : '');
+    confidence.textContent = `Confidence ${Math.round(entry.confidence * 100)}%`;
+    confidence.title = "The model's own estimate of how well the sources answer this email";
+    badges.appendChild(confidence);
+
+    if (entry.usedFallback) {
+      const fallback = document.createElement('span');
+      fallback.className = 'jeepbeach-preview-badge jeepbeach-preview-badge-low';
+      fallback.textContent = 'Fallback message used';
+      fallback.title = "The sources didn't answer the question, so the reply is the fallback message";
+      badges.appendChild(fallback);
+    }
+    info.appendChild(badges);
+
+    if (entry.followUpQuestions && entry.followUpQuestions.length > 0) {
+      const title = document.createElement('div');
+      title.className = 'jeepbeach-preview-sources-title';
+      title.textContent = 'You may need to ask the sender';
+      const list = document.createElement('ul');
+      entry.followUpQuestions.forEach(question => {
+        const item = document.createElement('li');
+        item.textContent = question;
+        list.appendChild(item);
+      });
+      info.append(title, list);
+    }
+
+    return info;
+  }
+
+  // "Check these" notice listing claims no source backs up
+  renderClaims(container, unverified) {
+    container.innerHTML = '';
+    container.hidden = unverified.length === 0;
+    if (unverified.length === 0) return;
+
+    const intro = document.createElement('span');
+    intro.textContent = 'Not found in the sources - check before sending: ';
+    container.appendChild(intro);
+
+    unverified.forEach(claim => {
+      const chip = document.createElement('mark');
+      chip.className = 'jeepbeach-preview-claim';
+      chip.textContent = claim.text;
+      chip.title = `Unverified ${claim.type}`;
+      container.appendChild(chip);
+    });
+  }
+
+  // Sources footer; website sources can be added to the reply as links
+  renderSources(container, sources) {
+    container.innerHTML = '';
+    container.hidden = sources.length === 0;
+    if (sources.length === 0) return;
+
+    const title = document.createElement('div');
+    title.className = 'jeepbeach-preview-sources-title';
+    title.textContent = 'Sources';
+    const list = document.createElement('ul');
+
+    sources.forEach(source => {
+      const item = document.createElement('li');
+      if (source.source === 'snippet' || !source.url) {
+        item.textContent = `Team note: ${source.heading || 'untitled'}`;
+      } else {
+        const link = document.createElement('a');
+        link.href = source.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = source.heading || source.url;
+        link.title = source.url;
+        item.appendChild(link);
+      }
+      list.appendChild(item);
+    });
+    container.append(title, list);
+
+    if (sources.some(source => source.source !== 'snippet' && source.url)) {
+      const label = document.createElement('label');
+      label.className = 'jeepbeach-preview-sources-toggle';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.includeSources;
+      checkbox.addEventListener('change', () => {
+        this.includeSources = checkbox.checked;
+      });
+      label.append(checkbox, ' Add source links to the reply');
+      container.appendChild(label);
+    }
+  }
+
+  // Mark every occurrence of an unverified claim in the highlight layer
+  updateHighlights(layer, textarea, unverified) {
+    const text = textarea.value;
+    layer.textContent = '';
+
+    const ranges = [];
+    const lowerText = text.toLowerCase();
+    unverified.forEach(claim => {
+      const needle = claim.text.toLowerCase();
+      for (let i = lowerText.indexOf(needle); needle && i !== -1; i = lowerText.indexOf(needle, i + needle.length)) {
+        ranges.push([i, i + needle.length]);
+      }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+      if (start < position) return;
+      layer.appendChild(document.createTextNode(text.substring(position, start)));
+      const mark = document.createElement('mark');
+      mark.textContent = text.substring(start, end);
+      layer.appendChild(mark);
+      position = end;
+    });
+    // Trailing newline keeps the layer as tall as the textarea content
+    layer.appendChild(document.createTextNode(`${text.substring(position)}\n`));
+
+    // Leave room for the textarea's scrollbar so both wrap at the same width
+    layer.style.right = `${Math.max(0, textarea.offsetWidth - textarea.clientWidth - 2)}px`;
+    layer.scrollTop = textarea.scrollTop;
+  }
+
+  // Swap the new panel in place of the old one
+  mountPanel(panel) {
+    if (this.panel) {
+      this.panel.replaceWith(panel);
+    } else {
+      document.body.appendChild(panel);
+    }
+    this.panel = panel;
+  }
+
+  createButton(label, tooltip, className = '') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `jeepbeach-preview-button ${className}`.trim();
+    button.textContent = label;
+    button.title = tooltip;
+    return button;
+  }
+
+  formatTime(isoString) {
+    const date = new Date(isoString);
+    return isNaN(date) ? '' : date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DraftPreview;
+} else {
+  self.DraftPreview = DraftPreview;
+}
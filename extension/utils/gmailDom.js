@@ -12,17 +12,58 @@ class GmailDOM {
       '.adn .a3s',
       'div[data-message-id] div[dir="ltr"]'
     ];
+
+    // Gmail thread view: expanded messages (.adn) and collapsed rows (.kv/.kQ)
+    this.threadSelectors = {
+      message: 'div.adn, div.kv, div.kQ',
+      subject: 'h2.hP, h2[data-thread-perm-id]',
+      sender: 'span.gD[email], span[email][name]',
+      recipients: '.hb span[email]',
+      timestamp: 'span.g3[title], .gH span[title]',
+      body: '.a3s',
+      snippet: '.iA.g6, span.g6, .y2'
+    };
+
+    this.quotedSelectors = [
+      '.gmail_quote',
+      '.gmail_extra',
+      'blockquote',
+      'div.yj6qo',
+      'div.ajR',
+      '.gmail_signature',
+      '[data-smartmail="gmail_signature"]'
+    ];
+
+    this.signatureSelectors = [
+      '.gmail_signature_prefix',
+      '.gmail_signature',
+      '[data-smartmail="gmail_signature"]'
+    ];
+
+    // Send button inside a compose window (inline reply or pop-out)
+    this.sendButtonSelector = 'div[role="button"][data-tooltip^="Send"], div[role="button"].aoO';
+
+    this.maxThreadMessages = 10;
+    this.maxMessageLength = 3000;
   }
 
   // Detect if compose box is present
   isComposeBoxPresent() {
+    return this.getComposeBoxes()[0] || null;
+  }
+
+  // Every visible compose body on the page, one per compose window
+  getComposeBoxes() {
+    const boxes = [];
     for (const selector of this.composeSelectors) {
-      const element = document.querySelector(selector);
-      if (element && this.isVisible(element)) {
-        return element;
-      }
+      document.querySelectorAll(selector).forEach(element => {
+        const isDuplicate = boxes.some(box => box === element || box.contains(element) || element.contains(box));
+        if (!isDuplicate && this.isVisible(element)) {
+          boxes.push(element);
+        }
+      });
     }
-    return null;
+    return boxes;
   }
 
   // Check if element is visible
@@ -35,13 +76,145 @@ class GmailDOM {
            element.offsetHeight > 0;
   }
 
-  // Get the active compose box
+  // Get the compose box that has focus, or the first one
   getActiveComposeBox() {
-    return this.isComposeBoxPresent();
+    const boxes = this.getComposeBoxes();
+    return boxes.find(box => box.contains(document.activeElement)) || boxes[0] || null;
+  }
+
+  // Id stored on the compose box so responses can find it again after focus moves
+  getComposeId(composeBox) {
+    if (!composeBox.dataset.jeepbeachComposeId) {
+      composeBox.dataset.jeepbeachComposeId = `jb-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+    }
+    return composeBox.dataset.jeepbeachComposeId;
+  }
+
+  // Find a compose box by id; null once its window has been closed or sent
+  findComposeBox(composeId) {
+    if (!composeId) return null;
+    return document.querySelector(`[data-jeepbeach-compose-id="${CSS.escape(composeId)}"]`);
+  }
+
+  // Send button of the compose window that owns this body
+  getSendButton(composeBox) {
+    let container = composeBox.parentElement;
+    while (container && container !== document.body) {
+      const sendButton = container.querySelector(this.sendButtonSelector);
+      if (sendButton) {
+        return sendButton;
+      }
+      container = container.parentElement;
+    }
+    return null;
+  }
+
+  // Address in the compose window's "From" field; falls back to the signed-in account
+  // (Gmail only shows the field when the account has send-as aliases)
+  getFromAddress(composeBox) {
+    let container = composeBox.parentElement;
+    while (container && container !== document.body) {
+      const fromInput = container.querySelector('input[name="from"]');
+      const match = fromInput && (fromInput.value || '').match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/);
+      if (match) {
+        return match[0].toLowerCase();
+      }
+      container = container.parentElement;
+    }
+    return this.getAccountEmail();
+  }
+
+  // Get the conversation as an ordered list (oldest first) of
+  // { id, senderName, senderEmail, recipients: [{ name, email }], timestamp, subject, body, isOwn, collapsed }
+  getThreadMessages() {
+    const accountEmail = this.getAccountEmail();
+    const subject = this.getThreadSubject();
+    const elements = Array.from(document.querySelectorAll(this.threadSelectors.message))
+      .filter((element, _, all) => !all.some(other => other !== element && other.contains(element)));
+
+    const messages = elements
+      .map((element, i) => this.extractThreadMessage(element, i, accountEmail, subject))
+      .filter(message => message && message.body);
+
+    return messages.slice(-this.maxThreadMessages);
+  }
+
+  // Subject heading above the conversation
+  getThreadSubject() {
+    const subjectElement = document.querySelector(this.threadSelectors.subject);
+    return subjectElement ? subjectElement.textContent.trim() : '';
+  }
+
+  // Read one expanded or collapsed message element
+  extractThreadMessage(element, index, accountEmail, subject = '') {
+    const senderElement = element.querySelector(this.threadSelectors.sender);
+    const timestampElement = element.querySelector(this.threadSelectors.timestamp);
+    const bodyElement = element.querySelector(this.threadSelectors.body);
+    const collapsed = !bodyElement;
+
+    let body = '';
+    if (bodyElement) {
+      body = this.extractMessageBody(bodyElement);
+    } else {
+      // Collapsed rows only render a one-line snippet
+      const snippetElement = element.querySelector(this.threadSelectors.snippet);
+      body = snippetElement ? this.extractTextContent(snippetElement) : '';
+    }
+
+    const senderEmail = senderElement ? (senderElement.getAttribute('email') || '').toLowerCase() : '';
+
+    // The "to" line only exists on expanded messages
+    const recipients = [];
+    element.querySelectorAll(this.threadSelectors.recipients).forEach(recipientElement => {
+      const email = (recipientElement.getAttribute('email') || '').toLowerCase();
+      if (recipientElement !== senderElement && email && !recipients.some(recipient => recipient.email === email)) {
+        recipients.push({ name: recipientElement.getAttribute('name') || recipientElement.textContent.trim(), email: email });
+      }
+    });
+
+    return {
+      id: element.getAttribute('data-message-id') || element.getAttribute('data-legacy-message-id') || `dom-${index}`,
+      senderName: senderElement ? (senderElement.getAttribute('name') || senderElement.textContent.trim()) : '',
+      senderEmail: senderEmail,
+      recipients: recipients,
+      timestamp: timestampElement ? timestampElement.getAttribute('title') : '',
+      subject: subject,
+      body: body.length > this.maxMessageLength ? body.substring(0, this.maxMessageLength) + '...' : body,
+      isOwn: !!accountEmail && senderEmail === accountEmail,
+      collapsed: collapsed
+    };
+  }
+
+  // Body text without quoted history or signature, keeping paragraphs and lists
+  extractMessageBody(bodyElement) {
+    const clone = bodyElement.cloneNode(true);
+    clone.querySelectorAll(this.quotedSelectors.join(', ')).forEach(el => el.remove());
+
+    const text = new HtmlToText().convert(clone.innerHTML);
+    return HtmlToText.stripQuotedText(text);
+  }
+
+  // Email address of the signed-in account (used to mark our own messages)
+  getAccountEmail() {
+    const titleMatch = document.title.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/);
+    if (titleMatch) {
+      return titleMatch[0].toLowerCase();
+    }
+
+    const accountLink = document.querySelector('a[aria-label*="Google Account"][aria-label*="@"]');
+    const labelMatch = accountLink && accountLink.getAttribute('aria-label').match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/);
+    return labelMatch ? labelMatch[0].toLowerCase() : null;
   }
 
   // Get last inbound message text from DOM
   getLastInboundMessage() {
+    const thread = this.getThreadMessages();
+    const inbound = thread.filter(message => !message.isOwn);
+    if (inbound.length > 0) {
+      return inbound[inbound.length - 1].body;
+    }
+
+    // Fall back to generic selectors when the thread view isn't recognized
     for (const selector of this.messageSelectors) {
       const elements = document.querySelectorAll(selector);
       if (elements.length > 0) {
@@ -112,6 +285,158 @@ class GmailDOM {
     }
   }
 
+  // Insert HTML at the cursor; execCommand keeps it in Gmail's undo history
+  insertHtmlAtCursor(composeBox, html) {
+    if (!composeBox || !html) return false;
+
+    try {
+      composeBox.focus();
+      const trustedHtml = this.toTrustedHtml(html);
+
+      if (document.execCommand) {
+        const success = document.execCommand('insertHTML', false, trustedHtml);
+        if (success) return true;
+      }
+
+      // Fallback to Selection API
+      const selection = window.getSelection();
+      if (selection.rangeCount > 0) {
+        const range = selection.getRangeAt(0);
+        range.deleteContents();
+        const fragment = range.createContextualFragment(trustedHtml);
+        const lastNode = fragment.lastChild;
+        range.insertNode(fragment);
+        if (lastNode) {
+          range.setStartAfter(lastNode);
+        }
+        range.collapse(true);
+        selection.removeAllRanges();
+        selection.addRange(range);
+        return true;
+      }
+
+      // Last resort: append to end
+      composeBox.insertAdjacentHTML('beforeend', trustedHtml);
+      return true;
+    } catch (error) {
+      console.error('Error inserting HTML:', error);
+      return false;
+    }
+  }
+
+  // Gmail enforces Trusted Types; the converter escapes all text, so its output can pass as is
+  toTrustedHtml(html) {
+    if (!window.trustedTypes) return html;
+
+    if (!this.htmlPolicy) {
+      try {
+        this.htmlPolicy = window.trustedTypes.createPolicy('jeepbeach-draft', { createHTML: value => value });
+      } catch (error) {
+        console.warn('Could not create a Trusted Types policy:', error);
+        return html;
+      }
+    }
+    return this.htmlPolicy.createHTML(html);
+  }
+
+  // Split a compose box into the user's own text and what Gmail keeps below it:
+  // { body, signature, quote, trimmed, tailStart } where body is a Range and the rest are
+  // elements or null. Drafts and rewrites only touch the body
+  getComposeRegions(composeBox) {
+    const find = selectors => composeBox.querySelector(selectors.join(', '));
+    const regions = {
+      signature: find(this.signatureSelectors),
+      quote: find(['.gmail_quote', '.gmail_extra']),
+      trimmed: find(['div.ajR', 'div.yj6qo'])
+    };
+
+    // The body ends where the first of them starts
+    const tailStart = [regions.signature, regions.quote, regions.trimmed]
+      .filter(Boolean)
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))[0] || null;
+
+    const body = document.createRange();
+    body.selectNodeContents(composeBox);
+    if (tailStart) {
+      body.setEndBefore(tailStart);
+    }
+
+    return { ...regions, body: body, tailStart: tailStart };
+  }
+
+  // The user's own text in a compose box (paragraphs and lists kept), without signature or quote
+  getComposeBodyText(composeBox) {
+    return this.getRangeText(this.getComposeRegions(composeBox).body);
+  }
+
+  getRangeText(range) {
+    const container = document.createElement('div');
+    container.appendChild(range.cloneContents());
+    return new HtmlToText().convert(container.innerHTML).trim();
+  }
+
+  // A copy of the range cut off where the body ends; null if it starts below the body
+  clampToBody(composeBox, range) {
+    const body = this.getComposeRegions(composeBox).body;
+    if (range.compareBoundaryPoints(Range.END_TO_START, body) > 0) {
+      return null;
+    }
+
+    const clamped = range.cloneRange();
+    if (clamped.compareBoundaryPoints(Range.END_TO_END, body) > 0) {
+      clamped.setEnd(body.endContainer, body.endOffset);
+    }
+    return clamped;
+  }
+
+  // Insert a draft relative to the user's text, converted from Markdown to Gmail-style HTML.
+  // Signature, quoted history and trimmed content stay untouched below it.
+  // Goes through execCommand so Gmail's undo can take it back.
+  // position: 'start' | 'end' | 'replace' | 'cursor'
+  insertDraft(composeBox, text, position, savedRange = null) {
+    if (!composeBox || !text) return false;
+
+    const regions = this.getComposeRegions(composeBox);
+    const hasContent = regions.body.toString().trim().length > 0;
+    const cursorRange = position === 'cursor' && savedRange && composeBox.contains(savedRange.startContainer)
+      ? this.clampToBody(composeBox, savedRange)
+      : null;
+    const range = document.createRange();
+
+    if (cursorRange) {
+      range.setStart(cursorRange.startContainer, cursorRange.startOffset);
+      range.setEnd(cursorRange.endContainer, cursorRange.endOffset);
+    } else {
+      range.setStart(regions.body.startContainer, regions.body.startOffset);
+      range.setEnd(regions.body.endContainer, regions.body.endOffset);
+      if (position !== 'replace') {
+        // No saved cursor (or one inside the signature) falls back to the end of the body
+        range.collapse(position === 'start');
+      }
+    }
+
+    composeBox.focus();
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    // A one-line rewrite of a selected phrase stays inline instead of becoming its own line
+    const converter = new MarkdownToHtml();
+    let html = cursorRange && !text.trim().includes('\n')
+      ? converter.convertInline(text.trim())
+      : converter.convert(text);
+    if (hasContent && position === 'start') {
+      html = `${html}<div><br></div>`;
+    } else if (hasContent && position === 'end') {
+      html = `<div><br></div>${html}`;
+    } else if (position === 'replace' && regions.tailStart) {
+      // Keep a blank line between the reply and the signature or quote
+      html = `${html}<div><br></div>`;
+    }
+
+    return this.insertHtmlAtCursor(composeBox, html);
+  }
+
   // Get thread ID from URL
   getThreadIdFromUrl() {
     const url = new URL(window.location.href);
@@ -152,43 +477,113 @@ class GmailDOM {
     }, duration);
   }
 
-  // Create floating button
-  createFloatingButton() {
+  // Create the draft button (plus its "more actions" arrow) for one compose window
+  createComposeButton(composeId) {
+    const group = document.createElement('span');
+    group.className = 'jeepbeach-draft-group';
+    group.dataset.composeId = composeId;
+
     const button = document.createElement('button');
-    button.id = 'jeepbeach-draft-button';
+    button.type = 'button';
     button.className = 'jeepbeach-draft-button';
     button.textContent = 'ChatJeePT';
     button.title = 'Generate AI-powered reply for Jeep Beach inquiries';
 
-    return button;
+    const menuButton = document.createElement('button');
+    menuButton.type = 'button';
+    menuButton.className = 'jeepbeach-draft-button jeepbeach-draft-menu-button';
+    menuButton.textContent = '▾';
+    menuButton.title = 'More ChatJeePT actions';
+    menuButton.setAttribute('aria-haspopup', 'menu');
+
+    // Shows the email's category once it is known; click to change it
+    const intentChip = document.createElement('button');
+    intentChip.type = 'button';
+    intentChip.className = 'jeepbeach-intent-chip';
+    intentChip.hidden = true;
+    intentChip.setAttribute('aria-haspopup', 'menu');
+
+    group.append(button, menuButton, intentChip);
+    return group;
   }
 
-  // Position floating button
-  positionFloatingButton(button) {
-    if (!button) return;
+  // Show a dropdown of [{ id, label, title }] above the anchor; closes on pick, Escape or outside click
+  showMenu(anchor, items, onSelect) {
+    this.closeMenu();
+
+    const menu = document.createElement('div');
+    menu.id = 'jeepbeach-draft-menu';
+    menu.className = 'jeepbeach-draft-menu';
+    menu.setAttribute('role', 'menu');
+
+    items.forEach(item => {
+      const option = document.createElement('button');
+      option.type = 'button';
+      option.className = 'jeepbeach-draft-menu-item';
+      option.setAttribute('role', 'menuitem');
+      option.textContent = item.label;
+      option.title = item.title || '';
+      option.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.closeMenu();
+        onSelect(item.id);
+      });
+      menu.appendChild(option);
+    });
+
+    document.body.appendChild(menu);
 
-    // Position in bottom-right with offset from Gmail's send button
-    button.style.position = 'fixed';
-    button.style.bottom = '20px';
-    button.style.right = '20px';
-    button.style.zIndex = '9999';
+    // Compose toolbars sit at the bottom of the window, so open upwards
+    const rect = anchor.getBoundingClientRect();
+    menu.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8))}px`;
+    menu.style.top = `${Math.max(8, rect.top - menu.offsetHeight - 4)}px`;
 
-    // Check if viewport is small and adjust position
-    if (window.innerWidth < 768) {
-      button.style.bottom = '10px';
-      button.style.right = '10px';
+    this.menuCloseHandler = (e) => {
+      if (e.type === 'keydown' ? e.key === 'Escape' : !menu.contains(e.target)) {
+        this.closeMenu();
+      }
+    };
+    setTimeout(() => {
+      document.addEventListener('mousedown', this.menuCloseHandler, true);
+      document.addEventListener('keydown', this.menuCloseHandler, true);
+    }, 0);
+
+    const firstItem = menu.querySelector('button');
+    if (firstItem) firstItem.focus();
+    return menu;
+  }
+
+  closeMenu() {
+    const existingMenu = document.getElementById('jeepbeach-draft-menu');
+    if (existingMenu) {
+      existingMenu.remove();
+    }
+    if (this.menuCloseHandler) {
+      document.removeEventListener('mousedown', this.menuCloseHandler, true);
+      document.removeEventListener('keydown', this.menuCloseHandler, true);
+      this.menuCloseHandler = null;
     }
   }
 
-  // Show/hide button based on compose box presence
-  toggleButtonVisibility(button, isVisible) {
-    if (!button) return;
+  // Place the button next to Send, or below the compose body if the toolbar isn't found
+  attachComposeButton(composeBox, button) {
+    const sendButton = this.getSendButton(composeBox);
+    if (!sendButton) {
+      button.classList.add('jeepbeach-draft-button-inline');
+      composeBox.insertAdjacentElement('afterend', button);
+      return;
+    }
 
-    if (isVisible) {
-      button.style.display = 'block';
-      this.positionFloatingButton(button);
+    // Send and its schedule-send arrow share a toolbar table cell
+    const sendCell = sendButton.closest('td');
+    if (sendCell) {
+      const cell = document.createElement('td');
+      cell.className = 'jeepbeach-draft-cell';
+      cell.appendChild(button);
+      sendCell.insertAdjacentElement('afterend', cell);
     } else {
-      button.style.display = 'none';
+      sendButton.parentElement.insertAdjacentElement('afterend', button);
     }
   }
 }
@@ -197,5 +592,5 @@ class GmailDOM {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = GmailDOM;
 } else {
-  window.GmailDOM = GmailDOM;
+  self.GmailDOM = GmailDOM;
 }
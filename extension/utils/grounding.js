@@ -0,0 +1,110 @@
+// Post-generation check for facts the model may have invented
+// Finds dates, times, prices and URLs in a draft and flags the ones that don't appear in the
+// reference text (knowledge snippets, the email thread, the fallback message...)
+class Grounding {
+  static getPatterns() {
+    const month = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+    const day = '(\\d{1,2})(?:st|nd|rd|th)?';
+    const range = `(?:\\s*(?:-|–|to|through|thru)\\s*${day})?`;
+
+    return {
+      url: /(?:\bhttps?:\/\/|\bwww\.|(?<![@\w.-])(?=[a-z0-9-]+\.(?:com|org|net|us|info|io)\b))[^\s<>()"']+/gi,
+      price: /\$\s?\d[\d,]*(?:\.\d{1,2})?|\b\d[\d,]*(?:\.\d{2})?\s?(?:dollars|usd)\b/gi,
+      time: /\b\d{1,2}(?::\d{2})?\s?(?:[ap]\.?m\.?)(?![a-z])|\b\d{1,2}:\d{2}\b/gi,
+      date: new RegExp(`\\b(${month})\\.?\\s+${day}${range}(?:,?\\s*\\d{4})?\\b|\\b${day}(?:\\s+of)?\\s+(${month})\\b|\\b(\\d{1,2})\\/(\\d{1,2})(?:\\/\\d{2,4})?\\b`, 'gi')
+    };
+  }
+
+  // [{ type, text, keys }] in the order they appear; keys are normalized values used for matching
+  static findClaims(text) {
+    const claims = [];
+    const patterns = Grounding.getPatterns();
+
+    Object.entries(patterns).forEach(([type, pattern]) => {
+      for (const match of (text || '').matchAll(pattern)) {
+        let claimText = match[0].trim();
+        if (type === 'url') {
+          claimText = claimText.replace(/[.,;:!?)\]]+$/, '');
+        }
+
+        const start = match.index;
+        const overlaps = claims.some(claim => start < claim.end && claim.start < start + claimText.length);
+        const keys = Grounding.normalize(type, match, claimText);
+        if (!overlaps && keys.length > 0) {
+          claims.push({ type: type, text: claimText, keys: keys, start: start, end: start + claimText.length });
+        }
+      }
+    });
+
+    return claims.sort((a, b) => a.start - b.start);
+  }
+
+  // Turn one match into comparable keys ("price:25", "time:540", "date:3-14", "url:jeepbeach.com/faq")
+  static normalize(type, match, claimText) {
+    switch (type) {
+      case 'price': {
+        const value = parseFloat(claimText.replace(/[^\d.]/g, ''));
+        return Number.isFinite(value) ? [`price:${value}`] : [];
+      }
+      case 'time': {
+        const timeMatch = claimText.toLowerCase().match(/(\d{1,2})(?::(\d{2}))?\s*([ap])?/);
+        let hours = parseInt(timeMatch[1], 10);
+        const minutes = parseInt(timeMatch[2] || '0', 10);
+        if (timeMatch[3] === 'p' && hours < 12) hours += 12;
+        if (timeMatch[3] === 'a' && hours === 12) hours = 0;
+        return hours < 24 && minutes < 60 ? [`time:${hours * 60 + minutes}`] : [];
+      }
+      case 'date': {
+        const monthName = match[1] || match[5];
+        const monthNumber = monthName
+          ? ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(monthName.slice(0, 3).toLowerCase()) + 1
+          : parseInt(match[6], 10);
+        const firstDay = parseInt(match[2] || match[4] || match[7], 10);
+        const lastDay = match[3] ? parseInt(match[3], 10) : firstDay;
+        if (!(monthNumber >= 1 && monthNumber <= 12) || !(firstDay >= 1 && firstDay <= 31)) return [];
+
+        // A range ("March 3-5") covers every day in it
+        const keys = [];
+        for (let d = firstDay; d <= Math.min(Math.max(lastDay, firstDay), 31); d++) {
+          keys.push(`date:${monthNumber}-${d}`);
+        }
+        return keys;
+      }
+      case 'url':
+        return [`url:${Grounding.normalizeUrl(claimText)}`];
+      default:
+        return [];
+    }
+  }
+
+  static normalizeUrl(url) {
+    return url.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/[#?].*$/, '').replace(/\/+$/, '');
+  }
+
+  // Claims in the draft that no reference text backs up: [{ type, text }], one per distinct text
+  static check(draft, referenceTexts) {
+    const references = referenceTexts.filter(Boolean).join('\n\n');
+    const knownKeys = new Set(Grounding.findClaims(references).flatMap(claim => claim.keys));
+    const knownUrls = [...knownKeys].filter(key => key.startsWith('url:'));
+
+    const unverified = [];
+    Grounding.findClaims(draft).forEach(claim => {
+      const verified = claim.type === 'url'
+        // Linking to a page that a source lives under is fine ("jeepbeach.com/faq" for ".../faq/#parking")
+        ? knownUrls.some(key => key === claim.keys[0] || key.startsWith(`${claim.keys[0]}/`))
+        : claim.keys.every(key => knownKeys.has(key));
+
+      if (!verified && !unverified.some(item => item.text === claim.text)) {
+        unverified.push({ type: claim.type, text: claim.text });
+      }
+    });
+    return unverified;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Grounding;
+} else {
+  self.Grounding = Grounding;
+}
@@ -0,0 +1,280 @@
+// Lightweight HTML-to-text converter that works without DOMParser (MV3 service worker)
+// Keeps headings ("# "), list items ("- "), table rows and link URLs as structured text
+class HtmlToText {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || null;
+    this.skipClasses = options.skipClasses || [];
+    this.skipTags = new Set([
+      'script', 'style', 'noscript', 'template', 'svg', 'head', 'iframe', 'object', 'canvas', 'select',
+      ...(options.skipTags || [])
+    ]);
+    this.blockTags = new Set([
+      'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset',
+      'figcaption', 'figure', 'footer', 'form', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre',
+      'section', 'summary', 'table', 'tbody', 'thead', 'tfoot', 'ul'
+    ]);
+    this.voidTags = new Set([
+      'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+    ]);
+    this.entities = {
+      amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—',
+      hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', copy: '©', reg: '®',
+      trade: '™', bull: '•', middot: '·', deg: '°', frac12: '½', times: '×', laquo: '«', raquo: '»'
+    };
+  }
+
+  // Convert an HTML string to structured plain text
+  convert(html) {
+    if (!html) return '';
+
+    const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/?([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+
+    // Raw-text elements may contain "<" (e.g. "a<b" in scripts), so cut them out first
+    html = html.replace(/<(script|style|textarea|title)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, ' ');
+
+    this.blocks = [];
+    this.current = '';
+    this.currentKind = 'p';
+    this.currentGroup = null;
+    this.listCount = 0;
+    this.lists = [];
+    this.links = [];
+    this.cellIndex = 0;
+
+    let skipTag = null;
+    let skipDepth = 0;
+
+    for (const match of html.matchAll(tokenPattern)) {
+      const token = match[0];
+      const tagName = match[1] ? match[1].toLowerCase() : null;
+
+      // Comments, doctype and CDATA carry no visible text
+      if (token.startsWith('<!')) continue;
+
+      if (!tagName) {
+        if (skipDepth === 0) {
+          this.appendText(token);
+        }
+        continue;
+      }
+
+      const isClosing = token.startsWith('</');
+      const isSelfClosing = token.endsWith('/>') || this.voidTags.has(tagName);
+
+      // Drop everything inside skipped elements (tracking nesting of the same tag)
+      if (skipDepth > 0) {
+        if (tagName === skipTag && !isSelfClosing) {
+          skipDepth += isClosing ? -1 : 1;
+        }
+        continue;
+      }
+
+      if (!isClosing && !isSelfClosing && (this.skipTags.has(tagName) || this.hasSkipClass(match[2] || ''))) {
+        skipTag = tagName;
+        skipDepth = 1;
+        continue;
+      }
+
+      if (isClosing) {
+        this.closeTag(tagName);
+      } else {
+        this.openTag(tagName, match[2] || '');
+      }
+    }
+
+    this.flushBlock();
+    return this.joinBlocks();
+  }
+
+  openTag(tagName, attributes) {
+    const headingMatch = tagName.match(/^h([1-6])$/);
+
+    if (headingMatch) {
+      this.flushBlock();
+      this.current = '#'.repeat(parseInt(headingMatch[1], 10)) + ' ';
+      this.currentKind = 'heading';
+    } else if (tagName === 'ul' || tagName === 'ol') {
+      this.flushBlock();
+      this.listCount += 1;
+      this.lists.push({ ordered: tagName === 'ol', count: 0, id: this.listCount });
+    } else if (tagName === 'li') {
+      this.flushBlock();
+      const list = this.lists[this.lists.length - 1];
+      const indent = '  '.repeat(Math.max(0, this.lists.length - 1));
+      let marker = '- ';
+      if (list && list.ordered) {
+        list.count += 1;
+        marker = `${list.count}. `;
+      }
+      this.current = indent + marker;
+      this.currentKind = 'li';
+      // Nested lists share the outermost list's group so they stay on adjacent lines
+      this.currentGroup = this.lists.length ? this.lists[0].id : null;
+    } else if (tagName === 'tr') {
+      this.flushBlock();
+      this.currentKind = 'row';
+      this.currentGroup = null;
+      this.cellIndex = 0;
+    } else if (tagName === 'td' || tagName === 'th') {
+      if (this.cellIndex > 0) {
+        this.current += ' | ';
+      }
+      this.cellIndex += 1;
+    } else if (tagName === 'br') {
+      this.current = this.current.replace(/ +$/, '') + '\n';
+    } else if (tagName === 'a') {
+      this.links.push({ href: this.getAttribute(attributes, 'href'), start: this.current.length });
+    } else if (this.blockTags.has(tagName)) {
+      this.flushBlock();
+    }
+  }
+
+  closeTag(tagName) {
+    if (/^h[1-6]$/.test(tagName) || tagName === 'li' || tagName === 'tr') {
+      this.flushBlock();
+    } else if (tagName === 'ul' || tagName === 'ol') {
+      this.flushBlock();
+      this.lists.pop();
+    } else if (tagName === 'a') {
+      const link = this.links.pop();
+      if (link) {
+        this.appendLinkUrl(link);
+      }
+    } else if (this.blockTags.has(tagName)) {
+      this.flushBlock();
+    }
+  }
+
+  // Add " (url)" after link text unless the text already shows the URL
+  appendLinkUrl(link) {
+    const url = this.resolveUrl(link.href);
+    if (!url) return;
+
+    const linkText = this.current.substring(link.start).trim();
+    const bareUrl = url.replace(/^mailto:/, '');
+    if (linkText.includes(bareUrl) || (bareUrl.includes(linkText) && linkText.length > 12)) return;
+
+    this.current = this.current.replace(/ +$/, '') + (linkText ? ` (${bareUrl})` : bareUrl);
+  }
+
+  resolveUrl(href) {
+    if (!href) return null;
+    const trimmed = href.trim();
+    if (!trimmed || trimmed.startsWith('#') || /^javascript:/i.test(trimmed)) return null;
+    if (/^(mailto|tel):/i.test(trimmed)) return trimmed;
+
+    try {
+      return new URL(trimmed, this.baseUrl || undefined).href;
+    } catch (error) {
+      return trimmed;
+    }
+  }
+
+  hasSkipClass(attributes) {
+    if (this.skipClasses.length === 0) return false;
+    const classNames = (this.getAttribute(attributes, 'class') || '').split(/\s+/);
+    return classNames.some(className => this.skipClasses.includes(className));
+  }
+
+  getAttribute(attributes, name) {
+    const pattern = new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i');
+    const match = attributes.match(pattern);
+    return match ? this.decodeEntities(match[1] || match[2] || match[3] || '') : null;
+  }
+
+  appendText(text) {
+    const decoded = this.decodeEntities(text).replace(/\s+/g, ' ');
+    if (!decoded.trim() && (!this.current || /[\s\n]$/.test(this.current))) return;
+
+    if (/[ \n]$/.test(this.current) || /^\s*$/.test(this.current)) {
+      this.current += decoded.replace(/^ /, '');
+    } else {
+      this.current += decoded;
+    }
+  }
+
+  flushBlock() {
+    const text = this.current
+      .split('\n')
+      .map(line => line.replace(/\s+$/, ''))
+      .join('\n')
+      .trim();
+
+    // Skip markers with no content (empty "- " or "# ")
+    if (text && !/^(#{1,6}|-|\d+\.)$/.test(text)) {
+      const indent = this.current.match(/^ */)[0];
+      this.blocks.push({
+        text: this.currentKind === 'li' ? indent + text : text,
+        kind: this.currentKind,
+        group: this.currentGroup
+      });
+    }
+
+    this.current = '';
+    this.currentKind = 'p';
+    this.currentGroup = null;
+    this.cellIndex = 0;
+  }
+
+  // Consecutive list items and table rows stay on adjacent lines
+  joinBlocks() {
+    let output = '';
+    this.blocks.forEach((block, i) => {
+      if (i > 0) {
+        const previous = this.blocks[i - 1];
+        const tight = previous.kind === block.kind && previous.group === block.group &&
+          (block.kind === 'li' || block.kind === 'row');
+        output += tight ? '\n' : '\n\n';
+      }
+      output += block.text;
+    });
+    return output;
+  }
+
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        // Out-of-range and surrogate code points can't be a character; keep the entity as written
+        const valid = Number.isFinite(value) && value > 0 && value <= 0x10FFFF && (value < 0xD800 || value > 0xDFFF);
+        return valid ? String.fromCodePoint(value) : entity;
+      }
+      const named = this.entities[code.toLowerCase()];
+      return named !== undefined ? named : entity;
+    });
+  }
+
+  // Cut plain-text reply history ("On ... wrote:", "> " lines) and "-- " signatures from an email body.
+  // Static: it works on text only, so the service worker uses it for Gmail API messages too
+  static stripQuotedText(text) {
+    const cutPatterns = [
+      /^On [^\n]{5,200}(?:\n[^\n]{0,100})?wrote:\s*$/m,
+      /^-{2,}\s*Original Message\s*-{2,}/mi,
+      /^-{2,}\s*Forwarded message\s*-{2,}/mi,
+      /^From: .+\n(?:Sent|Date): .+$/m,
+      /^-- ?$/m
+    ];
+
+    let result = text;
+    cutPatterns.forEach(pattern => {
+      const match = result.match(pattern);
+      if (match) {
+        result = result.substring(0, match.index);
+      }
+    });
+
+    return result
+      .split('\n')
+      .filter(line => !line.startsWith('>'))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HtmlToText;
+} else {
+  self.HtmlToText = HtmlToText;
+}
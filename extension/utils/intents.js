@@ -0,0 +1,91 @@
+// Email categories used to route a draft to the right profile, sources and fallback text
+// Shared by the service worker (classification, routing) and the content script (category chip)
+class Intents {
+  // skipKnowledge: don't look up website/snippet content for this kind of email
+  static getCategories() {
+    return [
+      {
+        id: 'registration',
+        label: 'Tickets & registration',
+        description: 'Buying tickets, registering a vehicle, wristbands, transfers, registration status or changes',
+        preferredUrls: ['https://jeepbeach.com/registration/']
+      },
+      {
+        id: 'vendor',
+        label: 'Vendor application',
+        description: 'Applying to vend or exhibit, booth space, vendor fees, load-in, vendor rules',
+        preferredUrls: ['https://jeepbeach.com/vendors/']
+      },
+      {
+        id: 'lodging',
+        label: 'Lodging',
+        description: 'Hotels, host hotels, room blocks, campgrounds, where to stay',
+        preferredUrls: []
+      },
+      {
+        id: 'beach-permits',
+        label: 'Beach permits',
+        description: 'Beach driving passes and permits, beach access, tides, what is allowed on the beach',
+        preferredUrls: ['https://jeepbeach.com/rules/']
+      },
+      {
+        id: 'refunds',
+        label: 'Refunds',
+        description: 'Refund requests, cancellations, chargebacks, double charges',
+        preferredUrls: ['https://jeepbeach.com/faq/']
+      },
+      {
+        id: 'volunteer',
+        label: 'Volunteer',
+        description: 'Volunteering, helping out at events, volunteer shifts',
+        preferredUrls: []
+      },
+      {
+        id: 'press',
+        label: 'Press',
+        description: 'Media, journalists, interviews, press passes, photography or filming requests',
+        preferredUrls: []
+      },
+      {
+        id: 'spam',
+        label: 'Spam / solicitation',
+        description: 'Unsolicited sales pitches, SEO or marketing offers, link requests, anything unrelated to attending or taking part in Jeep Beach',
+        preferredUrls: [],
+        skipKnowledge: true,
+        fallbackMessage: 'Thanks for reaching out. We aren\'t looking for new services right now, but we\'ll keep your details on file.'
+      },
+      {
+        id: 'general',
+        label: 'General question',
+        description: 'Event schedule, trail rides, parking, rules and anything else about attending',
+        preferredUrls: []
+      }
+    ];
+  }
+
+  static find(id) {
+    return Intents.getCategories().find(category => category.id === id) || null;
+  }
+
+  // Built-in category with the user's routing from settings applied
+  // route: { profileId, fallbackMessage, preferredUrls } - empty values keep the built-in ones
+  static getRoute(id, routes = {}) {
+    const category = Intents.find(id);
+    if (!category) return null;
+
+    const route = (routes || {})[id] || {};
+    return {
+      ...category,
+      profileId: route.profileId || null,
+      fallbackMessage: (route.fallbackMessage || '').trim() || category.fallbackMessage || '',
+      preferredUrls: route.preferredUrls && route.preferredUrls.length ? route.preferredUrls : category.preferredUrls
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Intents;
+} else {
+  self.Intents = Intents;
+}
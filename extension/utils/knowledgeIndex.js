@@ -0,0 +1,288 @@
+// Local keyword index over scraped JeepBeach pages and team snippets (BM25, no network embeddings)
+class KnowledgeIndex {
+  constructor(data = null) {
+    this.maxChunkLength = 800;
+    this.k1 = 1.2;
+    this.b = 0.75;
+    this.preferredBoost = 1.5;
+    // Bump when tokenize() changes so stored indexes built with old terms get rebuilt
+    this.tokenizerVersion = 2;
+    this.stopWords = new Set([
+      'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+      'have', 'hi', 'hello', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'just', 'me', 'my', 'no',
+      'not', 'of', 'on', 'or', 'our', 'please', 'so', 'thanks', 'thank', 'that', 'the', 'their',
+      'there', 'this', 'to', 'us', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'will',
+      'with', 'would', 'you', 'your'
+    ]);
+
+    this.chunks = [];
+    this.docFreq = {};
+    this.avgLength = 0;
+
+    if (data) {
+      this.chunks = data.chunks || [];
+      this.docFreq = data.docFreq || {};
+      this.avgLength = data.avgLength || 0;
+      this.builtWithVersion = data.tokenizerVersion || 1;
+    }
+  }
+
+  // False when the stored data was tokenized differently from tokenize() today
+  isCurrent() {
+    return !this.builtWithVersion || this.builtWithVersion === this.tokenizerVersion;
+  }
+
+  // Build an index from [{ url, text }] pages
+  static fromPages(pages) {
+    const index = new KnowledgeIndex();
+    pages.forEach(page => index.addPage(page.url, page.text));
+    index.computeStats();
+    return index;
+  }
+
+  // Build an index where each curated snippet is one unsplit chunk
+  static fromSnippets(snippets) {
+    const index = new KnowledgeIndex();
+    snippets.forEach(snippet => index.addSnippet(snippet));
+    index.computeStats();
+    return index;
+  }
+
+  // Split a page into chunks and add them to the index
+  addPage(url, text) {
+    const chunks = this.chunkText(text);
+    chunks.forEach(chunk => {
+      const terms = this.tokenize(`${chunk.heading} ${chunk.text}`);
+      this.chunks.push({
+        id: `${url}#${this.chunks.length}`,
+        url: url,
+        heading: chunk.heading,
+        text: chunk.text,
+        source: 'site',
+        length: terms.length,
+        tf: this.countTerms(terms)
+      });
+    });
+  }
+
+  // Add a team snippet; title and tags count toward matching
+  addSnippet(snippet) {
+    const tags = (snippet.tags || []).join(' ');
+    const terms = this.tokenize(`${snippet.title} ${tags} ${snippet.body}`);
+    this.chunks.push({
+      id: `snippet:${snippet.id}`,
+      url: `snippet:${snippet.id}`,
+      heading: snippet.title,
+      text: snippet.body,
+      source: 'snippet',
+      updatedAt: snippet.updatedAt || null,
+      length: terms.length,
+      tf: this.countTerms(terms)
+    });
+  }
+
+  // Split text into heading-aware chunks no longer than maxChunkLength
+  chunkText(text) {
+    if (!text) return [];
+
+    const chunks = [];
+    let heading = '';
+    let buffer = '';
+
+    const flush = () => {
+      if (buffer.trim()) {
+        chunks.push({ heading: heading, text: buffer.trim() });
+      }
+      buffer = '';
+    };
+
+    const blocks = text.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+    for (const block of blocks) {
+      // Markdown-style headings start a new section
+      const headingMatch = block.match(/^#{1,6}\s+(.+)$/);
+      if (headingMatch && !block.includes('\n')) {
+        flush();
+        heading = headingMatch[1].trim();
+        continue;
+      }
+
+      const pieces = block.length > this.maxChunkLength ? this.splitSentences(block) : [block];
+      for (const piece of pieces) {
+        if (buffer && buffer.length + piece.length + 2 > this.maxChunkLength) {
+          flush();
+        }
+        buffer += (buffer ? '\n\n' : '') + piece;
+      }
+    }
+    flush();
+
+    return chunks;
+  }
+
+  // Break a long block into sentence groups that fit in a chunk
+  splitSentences(block) {
+    const sentences = block.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [block];
+    const pieces = [];
+    let current = '';
+
+    for (const sentence of sentences) {
+      if (current && current.length + sentence.length > this.maxChunkLength) {
+        pieces.push(current.trim());
+        current = '';
+      }
+      current += sentence;
+    }
+    if (current.trim()) {
+      pieces.push(current.trim());
+    }
+
+    // Hard-split anything still too long (e.g. text without punctuation)
+    return pieces.flatMap(piece => {
+      if (piece.length <= this.maxChunkLength) return [piece];
+      const parts = [];
+      for (let i = 0; i < piece.length; i += this.maxChunkLength) {
+        parts.push(piece.substring(i, i + this.maxChunkLength));
+      }
+      return parts;
+    });
+  }
+
+  // Lowercase, split on non-alphanumerics, drop stop words and stem what's left
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9$]+/)
+      .filter(token => token.length > 1 && !this.stopWords.has(token))
+      .map(token => this.stem(token));
+  }
+
+  // Light suffix stripping so "parking"/"parked"/"parks" all index as "park" and
+  // "charge"/"charges"/"charged" share one term; not a full Porter stemmer
+  stem(token) {
+    if (token.length <= 3 || /^[0-9$]/.test(token)) {
+      return token;
+    }
+
+    let stem = token;
+    if (stem.endsWith('ies') && stem.length > 4) {
+      stem = stem.slice(0, -3) + 'y';
+    } else if (stem.endsWith('ing') && stem.length - 3 >= 3) {
+      stem = this.undouble(stem.slice(0, -3));
+    } else if (stem.endsWith('ed') && !stem.endsWith('eed') && stem.length - 2 >= 3) {
+      stem = this.undouble(stem.slice(0, -2));
+    } else if (/(ss|sh|ch|x|z)es$/.test(stem)) {
+      stem = stem.slice(0, -2);
+    } else if (stem.endsWith('s') && !stem.endsWith('ss')) {
+      stem = stem.slice(0, -1);
+    }
+
+    // "charge" and "charg(ed)" should be the same term
+    if (stem.length > 3 && stem.endsWith('e') && !stem.endsWith('ee')) {
+      stem = stem.slice(0, -1);
+    }
+    return stem;
+  }
+
+  // "shipp(ing)" -> "ship", but keep "install(ed)", "pass(ed)" and short stems like "add"
+  undouble(stem) {
+    const last = stem[stem.length - 1];
+    if (stem.length > 3 && last === stem[stem.length - 2] && !'lsz'.includes(last)) {
+      return stem.slice(0, -1);
+    }
+    return stem;
+  }
+
+  countTerms(terms) {
+    const counts = {};
+    terms.forEach(term => {
+      counts[term] = (counts[term] || 0) + 1;
+    });
+    return counts;
+  }
+
+  // Compute document frequencies and average chunk length
+  computeStats() {
+    this.docFreq = {};
+    let totalLength = 0;
+
+    this.chunks.forEach(chunk => {
+      totalLength += chunk.length;
+      Object.keys(chunk.tf).forEach(term => {
+        this.docFreq[term] = (this.docFreq[term] || 0) + 1;
+      });
+    });
+
+    this.avgLength = this.chunks.length ? totalLength / this.chunks.length : 0;
+  }
+
+  // Return the most relevant chunks for a query, best first
+  // Chunks from pages under one of preferredUrls score higher (a profile's favourite sources)
+  search(query, limit = 6, maxChars = 4000, preferredUrls = []) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    if (queryTerms.length === 0 || this.chunks.length === 0) {
+      return [];
+    }
+
+    const total = this.chunks.length;
+    const scored = this.chunks
+      .map(chunk => {
+        let score = 0;
+        for (const term of queryTerms) {
+          const freq = chunk.tf[term];
+          if (!freq) continue;
+
+          const df = this.docFreq[term] || 0;
+          const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+          const norm = freq + this.k1 * (1 - this.b + this.b * (chunk.length / (this.avgLength || 1)));
+          score += idf * (freq * (this.k1 + 1)) / norm;
+        }
+        if (score > 0 && preferredUrls.some(url => url && chunk.url.startsWith(url))) {
+          score *= this.preferredBoost;
+        }
+        return { chunk, score };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const results = [];
+    let usedChars = 0;
+    for (const { chunk, score } of scored) {
+      if (results.length >= limit) break;
+      if (results.length > 0 && usedChars + chunk.text.length > maxChars) continue;
+
+      usedChars += chunk.text.length;
+      results.push({
+        id: chunk.id,
+        url: chunk.url,
+        heading: chunk.heading,
+        text: chunk.text,
+        source: chunk.source || 'site',
+        updatedAt: chunk.updatedAt || null,
+        score: score
+      });
+    }
+
+    return results;
+  }
+
+  isEmpty() {
+    return this.chunks.length === 0;
+  }
+
+  // Plain object for chrome.storage.local
+  toJSON() {
+    return {
+      chunks: this.chunks,
+      docFreq: this.docFreq,
+      avgLength: this.avgLength,
+      tokenizerVersion: this.tokenizerVersion
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KnowledgeIndex;
+} else {
+  self.KnowledgeIndex = KnowledgeIndex;
+}
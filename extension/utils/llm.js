@@ -1,117 +1,643 @@
 // LLM integration utilities
 class LLMProvider {
-  constructor(apiKey, provider = 'openai') {
+  constructor(apiKey, provider = 'openai', options = {}) {
     this.apiKey = apiKey;
     this.provider = provider;
+    this.customBaseUrl = options.baseUrl || '';
+    this.customModel = options.model || '';
+    this.generation = options.generation || {};
+    this.promptTemplates = options.promptTemplates || {};
+    this.extraRules = options.extraRules || '';
+    this.greetingStyle = options.greetingStyle || 'mirror';
+    this.defaultTemperature = 0.5;
+    this.defaultMaxTokens = 600;
+    this.maxStructuredAttempts = 2;
     this.baseUrl = this.getBaseUrl(provider);
   }
 
+  // Highest temperature the provider's API accepts (Anthropic's Messages API allows 0-1)
+  static getMaxTemperature(provider) {
+    return provider === 'anthropic' ? 1 : 2;
+  }
+
+  // Create a provider from saved sync settings (extraRules: the active profile's prompt rules)
+  static fromSettings(settings, extraRules = '') {
+    const generation = {
+      draft: settings.draftModelSettings,
+      rewrite: settings.rewriteModelSettings
+    };
+    const promptTemplates = settings.promptTemplates || {};
+
+    if (settings.provider === 'custom') {
+      return new LLMProvider(settings.customApiKey, 'custom', {
+        baseUrl: settings.customBaseUrl,
+        model: settings.customModel,
+        generation: generation,
+        promptTemplates: promptTemplates,
+        extraRules: extraRules,
+        greetingStyle: settings.greetingStyle
+      });
+    }
+
+    return new LLMProvider(settings.apiKey, settings.provider, {
+      generation: generation,
+      promptTemplates: promptTemplates,
+      extraRules: extraRules,
+      greetingStyle: settings.greetingStyle
+    });
+  }
+
   getBaseUrl(provider) {
     switch (provider) {
       case 'openai':
         return 'https://api.openai.com/v1';
       case 'anthropic':
         return 'https://api.anthropic.com/v1';
+      case 'custom':
+        return (this.customBaseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
       default:
         return 'https://api.openai.com/v1';
     }
   }
 
-  // Generate draft reply using LLM
-  async generateDraft(emailContext, jeepBeachText, tone, fallbackMessage, existingDraft = null) {
-    if (!this.apiKey) {
+  // Default model for the provider when a mode doesn't override it
+  getDefaultModel() {
+    switch (this.provider) {
+      case 'anthropic':
+        return 'claude-3-haiku-20240307';
+      case 'custom':
+        return this.customModel;
+      default:
+        return 'gpt-4o-mini';
+    }
+  }
+
+  // Resolve model, temperature and max tokens for 'draft' or 'rewrite' mode
+  getGenerationParams(mode = 'draft') {
+    const overrides = this.generation[mode] || {};
+    const temperature = parseFloat(overrides.temperature);
+    const maxTokens = parseInt(overrides.maxTokens, 10);
+
+    // Clamped, since a value saved for another provider can be out of this one's range
+    return {
+      model: overrides.model || this.getDefaultModel(),
+      temperature: Number.isFinite(temperature)
+        ? Math.min(Math.max(temperature, 0), LLMProvider.getMaxTemperature(this.provider))
+        : this.defaultTemperature,
+      maxTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? maxTokens : this.defaultMaxTokens
+    };
+  }
+
+  // Local OpenAI-compatible servers usually don't need a key
+  requiresApiKey() {
+    return this.provider !== 'custom';
+  }
+
+  // Throw if the provider can't be called yet
+  assertConfigured() {
+    if (this.requiresApiKey() && !this.apiKey) {
       throw new Error('API key not configured');
     }
 
-    const systemPrompt = this.buildSystemPrompt(!!existingDraft);
-    const userPrompt = this.buildUserPrompt(emailContext, jeepBeachText, tone, fallbackMessage, existingDraft);
+    if (this.provider === 'custom' && !this.customModel) {
+      throw new Error('Model name not configured for custom endpoint');
+    }
+  }
+
+  // Get the completion endpoint path for the provider
+  getCompletionPath() {
+    switch (this.provider) {
+      case 'anthropic':
+        return '/messages';
+      default:
+        return '/chat/completions';
+    }
+  }
+
+  // Build auth and content headers for the provider
+  buildHeaders() {
+    switch (this.provider) {
+      case 'anthropic':
+        return {
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01',
+          // Required by Anthropic for requests made from a browser/extension origin
+          'anthropic-dangerous-direct-browser-access': 'true',
+          'Content-Type': 'application/json'
+        };
+      case 'custom':
+        return this.apiKey
+          ? { 'Authorization': `Bearer ${this.apiKey}`, 'Content-Type': 'application/json' }
+          : { 'Content-Type': 'application/json' };
+      default:
+        return {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        };
+    }
+  }
+
+  // Generate draft reply using LLM (knowledge: retrieved chunks or plain text)
+  // Pass stream = { onToken, signal } to receive the reply as it is generated.
+  // rewriteAction ({ id, instruction, selection } from RewriteActions.resolve) picks the rewrite prompt
+  // Returns { draft, truncated, sources } where sources are the knowledge chunks the reply cites
+  async generateDraft(emailContext, knowledge, tone, fallbackMessage, existingDraft = null, stream = null, rewriteAction = null) {
+    this.assertConfigured();
+
+    const citing = this.shouldCite(knowledge, existingDraft);
+    const values = this.buildPromptValues(emailContext, knowledge, tone, fallbackMessage, existingDraft);
+    const systemPrompt = this.buildSystemPrompt(!!existingDraft, rewriteAction, values) +
+      (citing ? `\n\n${this.buildCitationInstructions(false)}` : '');
+    const userPrompt = this.buildUserPrompt(values, rewriteAction);
+    const mode = existingDraft ? 'rewrite' : 'draft';
 
     try {
-      const response = await this.callLLM(systemPrompt, userPrompt);
-      return this.extractDraftFromResponse(response);
+      let result;
+      if (stream) {
+        result = await this.callLLMStream(systemPrompt, userPrompt, mode, stream.onToken, stream.signal);
+      } else {
+        const response = await this.callLLM(systemPrompt, userPrompt, mode);
+        result = {
+          draft: this.extractDraftFromResponse(response),
+          truncated: this.isTruncated(response)
+        };
+      }
+
+      return { ...result, ...this.extractCitations(result.draft, citing ? knowledge : []) };
     } catch (error) {
       console.error('LLM generation error:', error);
       throw error;
     }
   }
 
+  // Several alternative replies in one completion, each with a one-line summary of its approach.
+  // Returns { variants: [{ approach, draft, sources }], truncated }
+  async generateVariants(emailContext, knowledge, tone, fallbackMessage, existingDraft = null, count = 3, stream = null, rewriteAction = null) {
+    this.assertConfigured();
+
+    const citing = this.shouldCite(knowledge, existingDraft);
+    const values = this.buildPromptValues(emailContext, knowledge, tone, fallbackMessage, existingDraft);
+    const systemPrompt = this.buildSystemPrompt(!!existingDraft, rewriteAction, values) +
+      (citing ? `\n\n${this.buildCitationInstructions(true)}` : '');
+    const userPrompt = this.buildUserPrompt(values, rewriteAction)
+      .replace(/\n\n(Write your reply:|Return only the (?:rewritten|edited) text\.)$/, '') +
+      '\n\n' + this.buildVariantInstructions(count, !!existingDraft, rewriteAction);
+    const mode = existingDraft ? 'rewrite' : 'draft';
+
+    // Each option needs roughly the room of a single reply
+    const overrides = { maxTokens: this.getGenerationParams(mode).maxTokens * count };
+
+    try {
+      let result;
+      if (stream) {
+        result = await this.callLLMStream(systemPrompt, userPrompt, mode, stream.onToken, stream.signal, overrides);
+      } else {
+        const response = await this.callLLM(systemPrompt, userPrompt, mode, overrides);
+        result = {
+          draft: this.extractDraftFromResponse(response),
+          truncated: this.isTruncated(response)
+        };
+      }
+
+      const variants = this.parseVariants(result.draft).map(variant => ({
+        approach: variant.approach,
+        ...this.extractCitations(variant.draft, citing ? knowledge : [])
+      }));
+      if (variants.length === 0) {
+        throw new Error('Empty response from LLM');
+      }
+
+      return {
+        variants: variants,
+        truncated: result.truncated
+      };
+    } catch (error) {
+      console.error('LLM variant generation error:', error);
+      throw error;
+    }
+  }
+
+  buildVariantInstructions(count, isRewriteMode = false, rewriteAction = null) {
+    let examples = isRewriteMode
+      ? 'for example: warmer, shorter, more formal'
+      : 'for example: direct answer, points to FAQ, asks clarifying question';
+    if (rewriteAction && rewriteAction.id !== 'friendlier') {
+      // Named actions (Shorten, Translate...) vary only in wording; each option still does the edit
+      examples = 'each one still doing exactly what the edit instruction asks';
+    }
+
+    return `Write ${count} alternative ${isRewriteMode ? 'rewrites' : 'replies'} that take clearly different approaches (${examples}). Every option must follow all of the rules above.
+
+Format each option exactly like this, with nothing before the first marker:
+=== Option 1: <one-line summary of the approach, under 8 words>
+<the email text>
+=== Option 2: <summary>
+<the email text>
+
+Write the ${count} options:`;
+  }
+
+  // Split "=== Option n: summary" sections; unmarked output becomes a single option
+  parseVariants(text) {
+    const markerPattern = /^=+\s*Option\s*\d+\s*[:.-]?\s*(.*)$/gim;
+    const markers = [...text.matchAll(markerPattern)];
+
+    if (markers.length === 0) {
+      return [{ approach: 'Draft', draft: text.trim() }];
+    }
+
+    return markers
+      .map((marker, i) => {
+        const start = marker.index + marker[0].length;
+        const end = i + 1 < markers.length ? markers[i + 1].index : text.length;
+        return {
+          approach: marker[1].replace(/=+$/, '').replace(/^[*_\s]+|[*_\s]+$/g, '') || `Option ${i + 1}`,
+          draft: text.substring(start, end).trim()
+        };
+      })
+      .filter(variant => variant.draft);
+  }
+
+  // New drafts cite the numbered snippets they used so the preview can list sources
+  shouldCite(knowledge, existingDraft) {
+    return !existingDraft && Array.isArray(knowledge) && knowledge.length > 0;
+  }
+
+  buildCitationInstructions(isVariants) {
+    const where = isVariants ? 'End each option with its own line' : 'After the reply, add one last line';
+    return `${where} listing the numbers of the snippets the text relies on, exactly like:
+Sources: [1], [3]
+Write "Sources: none" if it doesn't rely on any snippet. Don't mention snippet numbers anywhere else.`;
+  }
+
+  // Strip the trailing "Sources: [n]" line and map the numbers to knowledge chunks.
+  // Returns { draft, sources: [{ number, id, url, heading, source }] }
+  extractCitations(text, knowledge) {
+    // Only a last line that is nothing but the citation list, so "our sources: ..." in the reply stays
+    const sourcesMatch = text.match(/(?:^|\n)[ \t]*\**Sources?\**:\**[ \t]*(\[?\d[^\n]*|none)\s*$/i);
+    if (!sourcesMatch || knowledge.length === 0) {
+      return { draft: text, sources: [] };
+    }
+
+    const numbers = (sourcesMatch[1].match(/\d+/g) || []).map(Number);
+    return { draft: text.substring(0, sourcesMatch.index).trim(), sources: this.mapSources(numbers, knowledge) };
+  }
+
+  mapSources(numbers, knowledge) {
+    return [...new Set(numbers)]
+      .filter(number => number >= 1 && number <= knowledge.length)
+      .map(number => {
+        const chunk = knowledge[number - 1];
+        return { number: number, id: chunk.id, url: chunk.url, heading: chunk.heading, source: chunk.source || 'site' };
+      });
+  }
+
+  // Structured output: the reply plus metadata, returned as JSON that matches getStructuredSchema
+  // (OpenAI/custom: json_schema response format, Anthropic: a forced tool call).
+  // Output that doesn't validate is sent back with the problems listed, up to maxStructuredAttempts.
+  // Returns { draft, truncated, sources, usedFallback, confidence, category, followUpQuestions }
+  async generateStructuredDraft(emailContext, knowledge, tone, fallbackMessage, categoryIds = []) {
+    this.assertConfigured();
+
+    const snippets = Array.isArray(knowledge) ? knowledge : [];
+    const values = this.buildPromptValues(emailContext, knowledge, tone, fallbackMessage);
+    const systemPrompt = `${this.buildSystemPrompt(false, null, values)}\n\n${this.buildStructuredInstructions(categoryIds)}`;
+    const userPrompt = this.buildUserPrompt(values);
+    const structured = {
+      name: 'email_reply',
+      description: 'The reply to send and details about how it was written',
+      schema: this.getStructuredSchema(categoryIds)
+    };
+
+    let retryPrompt = userPrompt;
+    let errors = [];
+    for (let attempt = 1; attempt <= this.maxStructuredAttempts; attempt++) {
+      const response = await this.callLLM(systemPrompt, retryPrompt, 'draft', { structured: structured });
+
+      let data = null;
+      try {
+        data = this.extractStructuredContent(response);
+        errors = this.validateStructuredReply(data, snippets.length, categoryIds);
+      } catch (error) {
+        errors = [error.message];
+      }
+
+      if (errors.length === 0) {
+        return {
+          draft: data.reply.trim(),
+          truncated: this.isTruncated(response),
+          sources: this.mapSources(data.sourcesUsed, snippets),
+          usedFallback: data.usedFallback,
+          confidence: data.confidence,
+          category: categoryIds.includes(data.category) ? data.category : null,
+          followUpQuestions: data.followUpQuestions.map(question => question.trim()).filter(Boolean)
+        };
+      }
+
+      console.warn(`Structured reply attempt ${attempt} was invalid:`, errors);
+      retryPrompt = `${userPrompt}
+
+Your previous answer didn't match the required format:
+- ${errors.join('\n- ')}
+Answer again with every field filled in correctly.`;
+    }
+
+    throw new Error(`The model didn't return a valid structured reply (${errors[0]}). Try again, or turn off structured output in the extension settings.`);
+  }
+
+  buildStructuredInstructions(categoryIds = []) {
+    const categories = categoryIds.length ? `one of ${categoryIds.join(', ')} or "other"` : 'a short label for the kind of email';
+    return `Return your answer as the email_reply object:
+- reply: the email text only, no subject line
+- usedFallback: true if the reply is the fallback message because the snippets don't answer the question
+- confidence: 0 to 1, how sure you are that the reply answers the email correctly from the snippets
+- category: ${categories}
+- followUpQuestions: questions to ask the sender when details are missing, or an empty list
+- sourcesUsed: the numbers of the snippets the reply relies on, or an empty list`;
+  }
+
+  getStructuredSchema(categoryIds = []) {
+    return {
+      type: 'object',
+      properties: {
+        reply: { type: 'string' },
+        usedFallback: { type: 'boolean' },
+        confidence: { type: 'number' },
+        category: categoryIds.length ? { type: 'string', enum: [...categoryIds, 'other'] } : { type: 'string' },
+        followUpQuestions: { type: 'array', items: { type: 'string' } },
+        sourcesUsed: { type: 'array', items: { type: 'integer' } }
+      },
+      required: ['reply', 'usedFallback', 'confidence', 'category', 'followUpQuestions', 'sourcesUsed'],
+      additionalProperties: false
+    };
+  }
+
+  // Problems with a structured reply, as messages the model can act on; empty when it's valid
+  validateStructuredReply(data, snippetCount, categoryIds = []) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['The answer must be a JSON object.'];
+    }
+
+    const errors = [];
+    if (typeof data.reply !== 'string' || !data.reply.trim()) {
+      errors.push('"reply" must be the non-empty email text.');
+    }
+    if (typeof data.usedFallback !== 'boolean') {
+      errors.push('"usedFallback" must be true or false.');
+    }
+    if (typeof data.confidence !== 'number' || !(data.confidence >= 0 && data.confidence <= 1)) {
+      errors.push('"confidence" must be a number from 0 to 1.');
+    }
+    if (typeof data.category !== 'string' || (categoryIds.length && ![...categoryIds, 'other'].includes(data.category))) {
+      errors.push(`"category" must be ${categoryIds.length ? `one of: ${[...categoryIds, 'other'].join(', ')}` : 'a string'}.`);
+    }
+    if (!Array.isArray(data.followUpQuestions) || data.followUpQuestions.some(question => typeof question !== 'string')) {
+      errors.push('"followUpQuestions" must be a list of strings.');
+    }
+    if (!Array.isArray(data.sourcesUsed) || data.sourcesUsed.some(number => !Number.isInteger(number) || number < 1 || number > snippetCount)) {
+      errors.push(snippetCount
+        ? `"sourcesUsed" must list snippet numbers from 1 to ${snippetCount}.`
+        : '"sourcesUsed" must be an empty list; there are no snippets.');
+    }
+    return errors;
+  }
+
+  // Sort an email into one of [{ id, description }]. Returns { category, confidence }
+  // with confidence 0-1; an answer that names no known category comes back with confidence 0
+  async classifyIntent(emailContext, categories) {
+    this.assertConfigured();
+
+    const systemPrompt = `You sort inbound emails for the Jeep Beach event team into categories.
+Categories:
+${categories.map(category => `- ${category.id}: ${category.description}`).join('\n')}
+
+Answer with JSON only, no other text: {"category": "<category id>", "confidence": <0 to 1>}
+Use a low confidence when the email could fit several categories or none of them.`;
+    const userPrompt = `${this.formatEmailContext(emailContext)}\n\nClassify the latest message that isn't ours.`;
+
+    const response = await this.callLLM(systemPrompt, userPrompt, 'draft', { temperature: 0, maxTokens: 60 });
+    return this.parseIntent(this.extractDraftFromResponse(response), categories);
+  }
+
+  parseIntent(text, categories) {
+    const unknown = { category: null, confidence: 0 };
+    const jsonMatch = (text || '').match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return unknown;
+
+    try {
+      const result = JSON.parse(jsonMatch[0]);
+      const category = categories.find(item => item.id === String(result.category || '').trim().toLowerCase());
+      const confidence = parseFloat(result.confidence);
+      if (!category) return unknown;
+
+      return {
+        category: category.id,
+        confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0
+      };
+    } catch (error) {
+      return unknown;
+    }
+  }
+
+  // Values for the {{variables}} in prompt templates
+  buildPromptValues(emailContext, knowledge, tone, fallbackMessage, existingDraft = null) {
+    const sender = this.getSenderDetails(emailContext);
+    return {
+      email: this.formatEmailContext(emailContext),
+      snippets: existingDraft ? '' : this.formatKnowledge(knowledge),
+      tone: tone || '',
+      fallback: fallbackMessage || '',
+      senderName: sender.name || sender.email,
+      senderEmail: sender.email,
+      subject: sender.subject,
+      receivedDate: sender.date,
+      recipients: this.formatAddresses(sender.recipients),
+      sender: this.formatSender(sender),
+      greeting: this.getGreetingInstruction(),
+      existingDraft: existingDraft || ''
+    };
+  }
+
+  // Whoever sent the latest inbound message in a thread, plus what came before it
+  getSenderDetails(emailContext) {
+    const details = { name: '', email: '', subject: '', date: '', recipients: [], earlierMessages: 0, repliedBefore: false };
+    if (!Array.isArray(emailContext)) return details;
+
+    const inbound = emailContext.filter(message => !message.isOwn);
+    const latest = inbound[inbound.length - 1];
+    if (!latest) return details;
+
+    const isSameSender = (message) => latest.senderEmail
+      ? message.senderEmail === latest.senderEmail
+      : !!latest.senderName && message.senderName === latest.senderName;
+    const withSubject = emailContext.filter(message => message.subject);
+
+    return {
+      name: latest.senderName || '',
+      email: latest.senderEmail || '',
+      subject: latest.subject || (withSubject.length ? withSubject[withSubject.length - 1].subject : ''),
+      date: latest.timestamp || '',
+      recipients: latest.recipients || [],
+      earlierMessages: inbound.filter(message => message !== latest && isSameSender(message)).length,
+      repliedBefore: emailContext.slice(0, emailContext.indexOf(latest)).some(message => message.isOwn)
+    };
+  }
+
+  // "Name <email>, ..." for a list of { name, email }
+  formatAddresses(addresses = []) {
+    return addresses
+      .map(address => address.name && address.name !== address.email ? `${address.name} <${address.email}>` : address.email)
+      .join(', ');
+  }
+
+  // Sender block for the prompt: enough to greet them by name and to tell a first-time
+  // question from someone already in touch with us
+  formatSender(sender) {
+    if (!sender.name && !sender.email) {
+      return '(Not available)';
+    }
+
+    let history = 'First message from them in this conversation';
+    if (sender.earlierMessages > 0) {
+      const count = `${sender.earlierMessages} earlier message${sender.earlierMessages === 1 ? '' : 's'}`;
+      history = `Returning - ${count} from them in this conversation${sender.repliedBefore ? ', and we have replied before' : ''}`;
+    } else if (sender.repliedBefore) {
+      history = 'Replying to a message from us';
+    }
+
+    return [
+      `Name: ${sender.name || 'unknown'}`,
+      sender.email ? `Email: ${sender.email}` : null,
+      sender.subject ? `Subject: ${sender.subject}` : null,
+      sender.date ? `Received: ${sender.date}` : null,
+      sender.recipients.length ? `Sent to: ${this.formatAddresses(sender.recipients)}` : null,
+      `History: ${history}`
+    ].filter(Boolean).join('\n');
+  }
+
+  // How the reply opens and closes (greetingStyle setting: always, never or mirror)
+  getGreetingInstruction() {
+    const instructions = {
+      always: 'Open with a greeting that uses the sender\'s first name (for example "Hi Sarah,", or "Hi there," when the name is unknown) and close with a short sign-off such as "Thanks!"',
+      never: 'Don\'t add a greeting or a sign-off - start directly with the answer',
+      mirror: 'Mirror the sender: greet them by first name only if they opened with a greeting, and add a short sign-off only if they signed off'
+    };
+    return instructions[this.greetingStyle] || instructions.mirror;
+  }
+
+  // Fill a template (user override or default) with prompt values
+  renderPrompt(name, values) {
+    return PromptTemplates.render(PromptTemplates.get(name, this.promptTemplates), values);
+  }
+
   // Build system prompt
-  buildSystemPrompt(isRewriteMode = false) {
-    if (isRewriteMode) {
-      return `You are a helpful support assistant rewriting email replies to be more user-friendly and professional.
+  buildSystemPrompt(isRewriteMode = false, rewriteAction = null, values = {}) {
+    if (isRewriteMode && rewriteAction && rewriteAction.id !== 'friendlier') {
+      return `You are a helpful support assistant editing email replies for Jeep Beach.
 STRICT RULES:
-- Preserve the core message and intent of the original text.
-- Make it sound warm, friendly, and thoughtful - like a real human wrote it.
-- Keep the same factual content but improve tone, clarity, and friendliness.
-- Maintain brevity (2–4 sentences) unless more detail is warranted.
-- Remove any harsh, terse, or cold language.
-- Add appropriate empathy and understanding where it fits naturally.
-- Don't add information that wasn't in the original message.`;
+- Do exactly what the edit instruction asks and nothing more.
+- Preserve the core message, facts and intent of the original text.
+- Don't add information that isn't in the original text or the email.
+- Return only the edited text - no preamble, notes or quotation marks.`;
     }
 
-    return `You are a helpful support assistant drafting replies for Jeep Beach emails.
-STRICT RULES:
-- Use ONLY information grounded in the provided JeepBeach snippets.
-- If the answer isn't present, use the provided fallback pattern.
-- Keep the reply concise (2–4 sentences), friendly, and helpful.
-- Do not invent dates, prices, policies, or guarantees.
-- End with one human contact path: "If you need a hand, reply here."`;
+    const systemPrompt = this.renderPrompt(isRewriteMode ? 'rewriteSystem' : 'draftSystem', values);
+    if (!this.extraRules) {
+      return systemPrompt;
+    }
+    return `${systemPrompt}\n\nAdditional rules for this inbox role:\n${this.extraRules}`;
   }
 
-  // Build user prompt
-  buildUserPrompt(emailContext, jeepBeachText, tone, fallbackMessage, existingDraft = null) {
-    if (existingDraft) {
-      return `Email they sent:
----
-${emailContext}
----
+  // Format a thread ([{ senderName, senderEmail, timestamp, subject, body, isOwn, collapsed }]) as a transcript
+  formatEmailContext(emailContext) {
+    if (!Array.isArray(emailContext)) {
+      return emailContext || '';
+    }
 
-Draft response to rewrite:
----
-${existingDraft}
----
+    let lastSubject = '';
+    const transcript = emailContext
+      .map((message, i) => {
+        const sender = message.senderEmail
+          ? `${message.senderName || message.senderEmail} <${message.senderEmail}>`
+          : (message.senderName || 'Unknown sender');
+        const labels = [
+          message.isOwn ? 'us' : null,
+          message.collapsed ? 'collapsed preview' : null
+        ].filter(Boolean);
+        const labelText = labels.length ? ` (${labels.join(', ')})` : '';
+        const date = message.timestamp ? ` - ${message.timestamp}` : '';
+        const subjectLine = message.subject && message.subject !== lastSubject ? `\nSubject: ${message.subject}` : '';
+        lastSubject = message.subject || lastSubject;
+
+        return `[Message ${i + 1}] From: ${sender}${labelText}${date}${subjectLine}\n${message.body}`;
+      })
+      .join('\n\n');
+
+    return `Conversation transcript (oldest first; messages marked "us" were sent by our team; reply to the latest message that isn't ours):\n\n${transcript}`;
+  }
 
-Desired tone: ${tone}
+  // Format retrieved chunks as numbered snippets labelled with their source URL
+  formatKnowledge(knowledge) {
+    if (!Array.isArray(knowledge)) {
+      return knowledge || '';
+    }
 
-Rewrite the draft response to be more ${tone}, friendly, and professional. Use the email context ONLY to understand what's being discussed so you can make the grammar and phrasing natural (e.g., "No we don't have those events" vs generic "I must decline").
+    if (knowledge.length === 0) {
+      return '(No relevant snippets found)';
+    }
 
-Rules:
-- Keep the SAME meaning and answer from the draft
-- Make it sound warm and human
-- Don't change what the draft is saying - just improve how it's said
-- Don't add new information that wasn't in the original draft
-- Use the context to make phrasing specific and natural, not generic
+    return knowledge
+      .map((chunk, i) => {
+        if (chunk.source === 'snippet') {
+          const updated = chunk.updatedAt ? ` (updated ${new Date(chunk.updatedAt).toISOString().slice(0, 10)})` : '';
+          return `[${i + 1}] Team note: ${chunk.heading}${updated}\n${chunk.text}`;
+        }
 
-Return only the rewritten text.`;
-    }
+        const heading = chunk.heading ? ` - ${chunk.heading}` : '';
+        return `[${i + 1}] Source: ${chunk.url}${heading}\n${chunk.text}`;
+      })
+      .join('\n\n');
+  }
 
-    return `Email to reply to:
+  // Build user prompt
+  buildUserPrompt(values, rewriteAction = null) {
+    if (values.existingDraft && rewriteAction && rewriteAction.id !== 'friendlier') {
+      const passage = rewriteAction.selection
+        ? 'Selected passage to edit (part of a longer reply - return only the edited passage)'
+        : 'Draft response to edit';
+
+      return `Email they sent:
 ---
-${emailContext}
+${values.email}
 ---
 
-JeepBeach site knowledge (snippets):
+${passage}:
 ---
-${jeepBeachText}
+${values.existingDraft}
 ---
 
-Tone: ${tone}
+Edit instruction: ${rewriteAction.instruction}
+
+Use the email context ONLY to understand what's being discussed so the wording stays natural and specific.
 
-Write a short reply grounded ONLY in the snippets above. If nothing relevant, use the fallback pattern:
-"${fallbackMessage}"
-Return only the email body, no greetings/headers unless the email clearly expects it.`;
+Return only the edited text.`;
+    }
+
+    const prompt = this.renderPrompt(values.existingDraft ? 'rewriteUser' : 'draftUser', values);
+    // The rewrite template is written for a whole reply; a selection has to come back on its own
+    if (values.existingDraft && rewriteAction && rewriteAction.selection) {
+      return `${prompt}\n\nThe draft response above is a selected passage, part of a longer reply - return only the edited passage, with no greeting, sign-off or other text around it.`;
+    }
+    return prompt;
   }
 
   // Call the LLM API
-  async callLLM(systemPrompt, userPrompt) {
-    const requestBody = this.buildRequestBody(systemPrompt, userPrompt);
+  async callLLM(systemPrompt, userPrompt, mode = 'draft', overrides = {}) {
+    const requestBody = this.buildRequestBody(systemPrompt, userPrompt, { ...this.getGenerationParams(mode), ...overrides });
 
-    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+    const response = await fetch(`${this.baseUrl}${this.getCompletionPath()}`, {
       method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
-      },
+      headers: this.buildHeaders(),
       body: JSON.stringify(requestBody)
     });
 
@@ -123,24 +649,133 @@ Return only the email body, no greetings/headers unless the email clearly expect
     return await response.json();
   }
 
+  // Call the LLM API with streaming. onToken receives each text delta;
+  // aborting the signal cancels the fetch mid-stream.
+  async callLLMStream(systemPrompt, userPrompt, mode = 'draft', onToken = () => {}, signal = null, overrides = {}) {
+    const requestBody = {
+      ...this.buildRequestBody(systemPrompt, userPrompt, { ...this.getGenerationParams(mode), ...overrides }),
+      stream: true
+    };
+
+    const response = await fetch(`${this.baseUrl}${this.getCompletionPath()}`, {
+      method: 'POST',
+      headers: this.buildHeaders(),
+      body: JSON.stringify(requestBody),
+      signal: signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`LLM API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let stopReason = null;
+
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return;
+
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') return;
+
+      const event = this.parseStreamEvent(data);
+      if (event.text) {
+        text += event.text;
+        onToken(event.text);
+      }
+      if (event.stopReason) {
+        stopReason = event.stopReason;
+      }
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      // Server-sent events are line based; keep any partial line for the next chunk
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+
+    if (!text.trim()) {
+      throw new Error('Empty response from LLM');
+    }
+
+    return {
+      draft: text.trim(),
+      truncated: stopReason === 'max_tokens' || stopReason === 'length'
+    };
+  }
+
+  // Read one stream event: { text, stopReason }
+  parseStreamEvent(data) {
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (error) {
+      return {};
+    }
+
+    if (event.error) {
+      throw new Error(`LLM API error: ${event.error.message || 'stream error'}`);
+    }
+
+    if (this.provider === 'anthropic') {
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        return { text: event.delta.text };
+      }
+      if (event.type === 'message_delta') {
+        return { stopReason: event.delta?.stop_reason };
+      }
+      return {};
+    }
+
+    const choice = event.choices?.[0];
+    return {
+      text: choice?.delta?.content || '',
+      stopReason: choice?.finish_reason || null
+    };
+  }
+
   // Build request body based on provider
-  buildRequestBody(systemPrompt, userPrompt) {
+  // params.structured ({ name, description, schema }) asks for JSON output matching the schema
+  buildRequestBody(systemPrompt, userPrompt, params = this.getGenerationParams()) {
+    const body = this.buildMessagesBody(systemPrompt, userPrompt, params);
+    if (!params.structured) {
+      return body;
+    }
+
+    const { name, description, schema } = params.structured;
+    if (this.provider === 'anthropic') {
+      return {
+        ...body,
+        tools: [{ name: name, description: description, input_schema: schema }],
+        tool_choice: { type: 'tool', name: name }
+      };
+    }
+
+    return {
+      ...body,
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: name, strict: true, schema: schema }
+      }
+    };
+  }
+
+  buildMessagesBody(systemPrompt, userPrompt, params) {
     switch (this.provider) {
-      case 'openai':
-        return {
-          model: 'gpt-4o-mini',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          max_tokens: 250,
-          temperature: 0.5
-        };
       case 'anthropic':
         return {
-          model: 'claude-3-haiku-20240307',
-          max_tokens: 250,
-          temperature: 0.5,
+          model: params.model,
+          max_tokens: params.maxTokens,
+          temperature: params.temperature,
           system: systemPrompt,
           messages: [
             { role: 'user', content: userPrompt }
@@ -148,38 +783,88 @@ Return only the email body, no greetings/headers unless the email clearly expect
         };
       default:
         return {
-          model: 'gpt-4o-mini',
+          model: params.model,
           messages: [
             { role: 'system', content: systemPrompt },
             { role: 'user', content: userPrompt }
           ],
-          max_tokens: 250,
-          temperature: 0.5
+          max_tokens: params.maxTokens,
+          temperature: params.temperature
         };
     }
   }
 
   // Extract draft from LLM response
   extractDraftFromResponse(response) {
+    const content = this.provider === 'anthropic'
+      ? this.extractAnthropicContent(response)
+      : this.extractOpenAIContent(response);
+
+    if (!content.trim()) {
+      throw new Error('Empty response from LLM');
+    }
+
+    return content.trim();
+  }
+
+  // Parsed JSON from a structured request: the forced tool call's input on Anthropic,
+  // the message content elsewhere (some custom endpoints wrap it in a code fence)
+  extractStructuredContent(response) {
+    if (this.provider === 'anthropic') {
+      const toolUse = (response?.content || []).find(block => block.type === 'tool_use');
+      if (toolUse) {
+        return toolUse.input;
+      }
+    }
+
+    const refusal = response?.choices?.[0]?.message?.refusal;
+    if (refusal) {
+      throw new Error(`The model refused: ${refusal}`);
+    }
+
+    const text = this.extractDraftFromResponse(response);
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    try {
+      return JSON.parse(jsonMatch ? jsonMatch[0] : text);
+    } catch (error) {
+      throw new Error('The answer was not valid JSON.');
+    }
+  }
+
+  // Check whether the completion stopped at the max token limit
+  isTruncated(response) {
+    if (this.provider === 'anthropic') {
+      return response?.stop_reason === 'max_tokens';
+    }
+
+    return response?.choices?.[0]?.finish_reason === 'length';
+  }
+
+  // Extract text from an OpenAI chat completion
+  extractOpenAIContent(response) {
     if (!response || !response.choices || response.choices.length === 0) {
       throw new Error('Invalid LLM response');
     }
 
     const choice = response.choices[0];
-    const content = choice.message?.content || choice.text || '';
+    return choice.message?.content || choice.text || '';
+  }
 
-    if (!content.trim()) {
-      throw new Error('Empty response from LLM');
+  // Extract text from an Anthropic Messages response
+  extractAnthropicContent(response) {
+    if (!response || !Array.isArray(response.content)) {
+      throw new Error('Invalid LLM response');
     }
 
-    return content.trim();
+    return response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
   }
 
   // Test LLM connection
   async testConnection() {
-    if (!this.apiKey) {
-      throw new Error('API key not configured');
-    }
+    this.assertConfigured();
 
     try {
       const testPrompt = 'Say "Hello, this is a test."';
@@ -190,17 +875,15 @@ Return only the email body, no greetings/headers unless the email clearly expect
     }
   }
 
-  // Get available models (for future use)
+  // Get available models (used to fill the custom endpoint model picker)
   async getAvailableModels() {
-    if (!this.apiKey) {
+    if (this.requiresApiKey() && !this.apiKey) {
       throw new Error('API key not configured');
     }
 
     try {
       const response = await fetch(`${this.baseUrl}/models`, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`
-        }
+        headers: this.buildHeaders()
       });
 
       if (!response.ok) {
@@ -220,5 +903,5 @@ Return only the email body, no greetings/headers unless the email clearly expect
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = LLMProvider;
 } else {
-  window.LLMProvider = LLMProvider;
+  self.LLMProvider = LLMProvider;
 }
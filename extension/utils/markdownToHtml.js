@@ -0,0 +1,100 @@
+// Lightweight Markdown-to-HTML converter for inserting drafts into Gmail's editor
+// Handles what replies actually use: paragraphs, line breaks, "- " / "1. " lists, **bold**,
+// *italic*, [text](url) links and bare URLs. Output mirrors Gmail's own markup (one <div> per line)
+class MarkdownToHtml {
+  // Convert Markdown text to an HTML string
+  convert(markdown) {
+    if (!markdown) return '';
+
+    const blocks = markdown.replace(/\r\n?/g, '\n').trim().split(/\n[ \t]*\n+/);
+    return blocks.map(block => this.convertBlock(block)).join('<div><br></div>');
+  }
+
+  // One paragraph: runs of list items become lists, everything else one <div> per line
+  convertBlock(block) {
+    const lines = block.split('\n');
+    const parts = [];
+    let list = null;
+
+    const closeList = () => {
+      if (list) {
+        parts.push(`<${list.tag}>${list.items.map(item => `<li>${item}</li>`).join('')}</${list.tag}>`);
+        list = null;
+      }
+    };
+
+    lines.forEach(line => {
+      const bullet = line.match(/^\s*[-*•]\s+(.*)$/);
+      const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+      const item = bullet || numbered;
+
+      if (item) {
+        const tag = bullet ? 'ul' : 'ol';
+        if (list && list.tag !== tag) closeList();
+        if (!list) list = { tag: tag, items: [] };
+        list.items.push(this.convertInline(item[1]));
+        return;
+      }
+
+      closeList();
+      // Headings have no place in an email reply; keep them as a bold line
+      const heading = line.match(/^\s*#{1,6}\s+(.*)$/);
+      const content = heading ? `<b>${this.convertInline(heading[1])}</b>` : this.convertInline(line);
+      parts.push(`<div>${content || '<br>'}</div>`);
+    });
+    closeList();
+
+    return parts.join('');
+  }
+
+  // Links, bold and italic within one line; everything else is escaped
+  convertInline(text) {
+    const linkPattern = /\[([^\]\n]+)\]\((https?:\/\/[^\s)]+|mailto:[^\s)]+)\)|(?:\bhttps?:\/\/|\bwww\.)[^\s<>()"']+/gi;
+    let html = '';
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(linkPattern)) {
+      let label = match[1];
+      let url = match[2];
+      let trailing = '';
+
+      if (!url) {
+        // Bare URL: leave sentence punctuation outside the link
+        const bare = match[0].match(/^(.*?)([.,;:!?]*)$/);
+        url = bare[1];
+        trailing = bare[2];
+        label = url;
+      }
+
+      const href = /^(https?:|mailto:)/i.test(url) ? url : `https://${url}`;
+      html += this.convertEmphasis(text.substring(lastIndex, match.index));
+      html += `<a href="${this.escapeHtml(href)}">${match[1] ? this.convertEmphasis(label) : this.escapeHtml(label)}</a>`;
+      html += this.escapeHtml(trailing);
+      lastIndex = match.index + match[0].length;
+    }
+
+    return html + this.convertEmphasis(text.substring(lastIndex));
+  }
+
+  convertEmphasis(text) {
+    return this.escapeHtml(text)
+      .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*|__(?=\S)(.+?)(?<=\S)__/g, (match, stars, underscores) => `<b>${stars || underscores}</b>`)
+      .replace(/(^|[^\w*])\*(?=\S)([^*\n]+?)(?<=\S)\*(?![\w*])|(^|[^\w])_(?=\S)([^_\n]+?)(?<=\S)_(?!\w)/g,
+        (match, starBefore, stars, underscoreBefore, underscores) => `${starBefore ?? underscoreBefore}<i>${stars || underscores}</i>`);
+  }
+
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownToHtml;
+} else {
+  self.MarkdownToHtml = MarkdownToHtml;
+}
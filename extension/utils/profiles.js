@@ -0,0 +1,59 @@
+// Named reply profiles (registration desk, vendor coordinator, sponsorship...)
+// Each one can override the global tone and fallback and add its own sign-off, rules and sources.
+// Shared by the content script (picker, From alias matching) and the service worker (prompts)
+class Profiles {
+  // Profile: { id, name, fromAliases: [email], tone, fallbackMessage, signature, rules, preferredUrls: [url] }
+  // Empty tone/fallback fall back to the global settings
+  static find(profiles, id) {
+    if (!id) return null;
+    return (profiles || []).find(profile => profile.id === id) || null;
+  }
+
+  // First profile whose From aliases include the address (case-insensitive)
+  static matchAlias(profiles, fromAddress) {
+    const address = (fromAddress || '').trim().toLowerCase();
+    if (!address) return null;
+
+    return (profiles || []).find(profile => {
+      return (profile.fromAliases || []).some(alias => alias.trim().toLowerCase() === address);
+    }) || null;
+  }
+
+  // An explicit pick wins; otherwise match the From alias. 'default' forces the global settings
+  static resolve(profiles, chosenId, fromAddress) {
+    if (chosenId === 'default') return null;
+    return Profiles.find(profiles, chosenId) || Profiles.matchAlias(profiles, fromAddress);
+  }
+
+  // Global settings with the profile's overrides applied
+  static apply(settings, profile) {
+    if (!profile) {
+      return { tone: settings.tone, fallbackMessage: settings.fallbackMessage, signature: '', rules: '', preferredUrls: [] };
+    }
+
+    return {
+      tone: (profile.tone || '').trim() || settings.tone,
+      fallbackMessage: (profile.fallbackMessage || '').trim() || settings.fallbackMessage,
+      signature: (profile.signature || '').trim(),
+      rules: (profile.rules || '').trim(),
+      preferredUrls: profile.preferredUrls || []
+    };
+  }
+
+  // Append the sign-off unless the draft already ends with it
+  static addSignature(draft, signature) {
+    if (!signature || !draft) return draft;
+
+    const normalize = text => text.replace(/\s+/g, ' ').trim().toLowerCase();
+    if (normalize(draft).endsWith(normalize(signature))) return draft;
+
+    return `${draft.replace(/\s+$/, '')}\n\n${signature}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Profiles;
+} else {
+  self.Profiles = Profiles;
+}
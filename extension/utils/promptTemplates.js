@@ -0,0 +1,156 @@
+// Prompt templates with {{variable}} placeholders, editable on the options page
+// Stored overrides (StorageManager.getPromptTemplates) replace the defaults per template
+class PromptTemplates {
+  // Variables that can be used in any template
+  static getVariables() {
+    return [
+      { name: 'email', description: 'The email or conversation transcript being answered' },
+      { name: 'snippets', description: 'Matching team notes and JeepBeach.com snippets (empty when rewriting)' },
+      { name: 'tone', description: 'Response Tone setting' },
+      { name: 'fallback', description: 'Fallback Message setting' },
+      { name: 'senderName', description: 'Name of the person who sent the latest message' },
+      { name: 'senderEmail', description: 'Email address of the person who sent the latest message' },
+      { name: 'subject', description: 'Subject of the conversation' },
+      { name: 'receivedDate', description: 'When the latest message arrived' },
+      { name: 'recipients', description: 'Addresses the latest message was sent to' },
+      { name: 'sender', description: 'Summary of the sender: name, email, subject, date, recipients and whether they wrote before' },
+      { name: 'greeting', description: 'Greeting and sign-off instruction from the Greetings setting' },
+      { name: 'existingDraft', description: 'Text being rewritten (empty for new drafts)' }
+    ];
+  }
+
+  static getTemplateNames() {
+    return ['draftSystem', 'draftUser', 'rewriteSystem', 'rewriteUser'];
+  }
+
+  // A template can't do its job without these
+  static getRequiredVariables() {
+    return {
+      draftUser: ['email'],
+      rewriteUser: ['existingDraft']
+    };
+  }
+
+  static getDefaults() {
+    return {
+      draftSystem: `You are a helpful support assistant drafting replies for Jeep Beach emails.
+STRICT RULES:
+- Use ONLY information grounded in the provided JeepBeach snippets.
+- "Team note" snippets are curated by staff and are the most current; if they conflict with website snippets, follow the team note.
+- If the answer isn't present, use the provided fallback pattern.
+- Keep the reply concise (2–4 sentences), friendly, and helpful.
+- Plain text; the only formatting allowed is "- " bullet lists, **bold** and [text](url) links.
+- Do not invent dates, prices, policies, or guarantees.
+- End with one human contact path: "If you need a hand, reply here."`,
+
+      draftUser: `Email to reply to:
+---
+{{email}}
+---
+
+About the sender:
+{{sender}}
+
+JeepBeach site knowledge (snippets, most relevant first, each labelled with its source page):
+---
+{{snippets}}
+---
+
+Tone: {{tone}}
+
+Instructions:
+1. Read the email carefully to understand what the person is asking
+2. Look through the JeepBeach snippets for relevant information to answer their question
+3. If you find relevant information, write a helpful reply using that information
+4. If you cannot find any relevant information in the snippets, use this exact fallback message: "{{fallback}}"
+5. Keep the reply concise (2-4 sentences)
+6. Be friendly and helpful
+7. Do NOT repeat the fallback message multiple times
+8. {{greeting}}
+9. Return only the email body, no subject line or headers
+
+Write your reply:`,
+
+      rewriteSystem: `You are a helpful support assistant rewriting email replies to be more user-friendly and professional.
+STRICT RULES:
+- Preserve the core message and intent of the original text.
+- Make it sound warm, friendly, and thoughtful - like a real human wrote it.
+- Keep the same factual content but improve tone, clarity, and friendliness.
+- Maintain brevity (2–4 sentences) unless more detail is warranted.
+- Remove any harsh, terse, or cold language.
+- Add appropriate empathy and understanding where it fits naturally.
+- Don't add information that wasn't in the original message.`,
+
+      rewriteUser: `Email they sent:
+---
+{{email}}
+---
+
+Draft response to rewrite:
+---
+{{existingDraft}}
+---
+
+Desired tone: {{tone}}
+
+Rewrite the draft response to be more {{tone}}, friendly, and professional. Use the email context ONLY to understand what's being discussed so you can make the grammar and phrasing natural (e.g., "No we don't have those events" vs generic "I must decline").
+
+Rules:
+- Keep the SAME meaning and answer from the draft
+- Make it sound warm and human
+- Don't change what the draft is saying - just improve how it's said
+- Don't add new information that wasn't in the original draft
+- Use the context to make phrasing specific and natural, not generic
+
+Return only the rewritten text.`
+    };
+  }
+
+  // Stored override if there is one, otherwise the default
+  static get(name, overrides = {}) {
+    const override = overrides && overrides[name];
+    return override && override.trim() ? override : PromptTemplates.getDefaults()[name];
+  }
+
+  // Replace {{name}} placeholders in one pass, so values containing braces are left alone
+  static render(template, values = {}) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+      return values[name] !== undefined && values[name] !== null ? String(values[name]) : placeholder;
+    });
+  }
+
+  // List problems with a template: unknown variables, stray braces, missing required variables
+  static validate(name, template) {
+    const errors = [];
+    if (!template || !template.trim()) {
+      return ['Template is empty'];
+    }
+
+    const known = PromptTemplates.getVariables().map(variable => variable.name);
+    for (const match of template.matchAll(/\{\{\s*([^{}]*?)\s*\}\}/g)) {
+      if (!known.includes(match[1])) {
+        errors.push(`Unknown variable {{${match[1]}}}`);
+      }
+    }
+
+    if (/\{\{|\}\}/.test(template.replace(/\{\{[^{}]*\}\}/g, ''))) {
+      errors.push('Unmatched {{ or }}');
+    }
+
+    const required = PromptTemplates.getRequiredVariables()[name] || [];
+    required.forEach(variable => {
+      if (!new RegExp(`\\{\\{\\s*${variable}\\s*\\}\\}`).test(template)) {
+        errors.push(`Must include {{${variable}}}`);
+      }
+    });
+
+    return [...new Set(errors)];
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PromptTemplates;
+} else {
+  self.PromptTemplates = PromptTemplates;
+}
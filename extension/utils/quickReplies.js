@@ -0,0 +1,123 @@
+// Canned replies inserted straight into the compose box, without calling the model
+// {{variables}} are filled in from the email being answered and the event details in settings
+class QuickReplies {
+  static getVariables() {
+    return [
+      { name: 'firstName', description: 'First name of the person you are replying to ("there" when unknown)' },
+      { name: 'senderName', description: 'Full name of the person you are replying to' },
+      { name: 'eventYear', description: 'Event year from the Quick Replies settings (this year by default)' },
+      { name: 'eventDates', description: 'Event dates from the Quick Replies settings' },
+      { name: 'today', description: 'Today\'s date' }
+    ];
+  }
+
+  // Values for the variables. thread: messages from GmailDOM.getThreadMessages;
+  // eventDetails: { eventYear, eventDates } from settings
+  static getValues(thread = [], eventDetails = {}) {
+    const inbound = (thread || []).filter(message => !message.isOwn);
+    const latest = inbound[inbound.length - 1];
+    const senderName = latest ? latest.senderName || '' : '';
+
+    return {
+      firstName: QuickReplies.getFirstName(senderName) || 'there',
+      senderName: senderName,
+      eventYear: (eventDetails && eventDetails.eventYear) || String(new Date().getFullYear()),
+      eventDates: (eventDetails && eventDetails.eventDates) || '',
+      today: new Date().toLocaleDateString(undefined, { month: 'long', day: 'numeric', year: 'numeric' })
+    };
+  }
+
+  // "Rivera, Jamie" -> "Jamie", "JAMIE RIVERA" -> "Jamie"; addresses give no name
+  static getFirstName(name) {
+    const cleaned = (name || '').replace(/["']/g, '').trim();
+    if (!cleaned || cleaned.includes('@')) return '';
+
+    const first = cleaned.includes(',') ? cleaned.split(',')[1].trim().split(/\s+/)[0] : cleaned.split(/\s+/)[0];
+    if (!first) return '';
+    return first === first.toUpperCase() || first === first.toLowerCase()
+      ? first.charAt(0).toUpperCase() + first.slice(1).toLowerCase()
+      : first;
+  }
+
+  // Fill in {{name}} placeholders. Returns { text, missing } where missing lists the variables
+  // that had no value; their placeholders stay in the text so they are easy to spot
+  static render(body, values = {}) {
+    const missing = [];
+    const text = body.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+      if (values[name]) return String(values[name]);
+      if (!missing.includes(name)) missing.push(name);
+      return placeholder;
+    });
+    return { text: text, missing: missing };
+  }
+
+  // Exported file: { type, version, quickReplies: [{ title, body, tags }] }
+  static exportData(quickReplies) {
+    return JSON.stringify({
+      type: 'jeepbeach-quick-replies',
+      version: 1,
+      quickReplies: quickReplies.map(reply => ({ title: reply.title, body: reply.body, tags: reply.tags || [] }))
+    }, null, 2);
+  }
+
+  // Read an exported file (or a plain array of replies); throws with a readable message
+  static parseImport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    const items = Array.isArray(data) ? data : data && data.quickReplies;
+    if (!Array.isArray(items)) {
+      throw new Error('The file has no quick replies');
+    }
+
+    const replies = items
+      .filter(item => item && typeof item.title === 'string' && typeof item.body === 'string')
+      .map(item => ({
+        title: item.title.trim(),
+        body: item.body.trim(),
+        tags: Array.isArray(item.tags) ? item.tags.map(tag => String(tag).trim()).filter(Boolean) : []
+      }))
+      .filter(item => item.title && item.body);
+
+    if (replies.length === 0) {
+      throw new Error('None of the quick replies in the file have a title and text');
+    }
+    return replies;
+  }
+
+  // Add imported replies; one with the same title as an existing reply replaces its text
+  static merge(existing, imported) {
+    const merged = [...existing];
+    let added = 0;
+    let updated = 0;
+
+    imported.forEach(reply => {
+      const index = merged.findIndex(item => item.title.toLowerCase() === reply.title.toLowerCase());
+      if (index >= 0) {
+        merged[index] = { ...merged[index], body: reply.body, tags: reply.tags, updatedAt: Date.now() };
+        updated++;
+      } else {
+        merged.push({
+          id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+          ...reply,
+          createdAt: Date.now(),
+          updatedAt: Date.now()
+        });
+        added++;
+      }
+    });
+
+    return { quickReplies: merged, added: added, updated: updated };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QuickReplies;
+} else {
+  self.QuickReplies = QuickReplies;
+}
@@ -0,0 +1,81 @@
+// Named rewrite actions offered in the compose menu
+// Shared by the content script (menu labels) and the service worker (prompt instructions)
+class RewriteActions {
+  // "friendlier" is the implicit action when the button is clicked with text in the compose box
+  static getBuiltInActions() {
+    return [
+      {
+        id: 'friendlier',
+        label: 'Make it friendlier',
+        instruction: 'Rewrite the text to be more {{tone}}, friendly, and professional.'
+      },
+      {
+        id: 'shorten',
+        label: 'Shorten',
+        instruction: 'Make the text noticeably shorter. Cut filler, repetition and pleasantries, but keep every fact, answer, date and link.'
+      },
+      {
+        id: 'expand',
+        label: 'Expand',
+        instruction: 'Expand the text into a fuller reply with more explanation and a clearer structure. Only use details already present in the text or the email; do not invent facts.'
+      },
+      {
+        id: 'formal',
+        label: 'More formal',
+        instruction: 'Make the text more formal and polished: no slang or exclamation marks, complete sentences, courteous wording.'
+      },
+      {
+        id: 'casual',
+        label: 'More casual',
+        instruction: 'Make the text more casual and conversational, like a friendly person on the Jeep Beach team wrote it quickly.'
+      },
+      {
+        id: 'grammar',
+        label: 'Fix grammar only',
+        instruction: 'Fix spelling, grammar and punctuation only. Do not change the wording, tone, order or length beyond what the corrections require.'
+      },
+      {
+        id: 'translate',
+        label: 'Translate',
+        instruction: 'Translate the text into {{language}}. Keep names, links, dates and prices exactly as they are.',
+        needsLanguage: true
+      },
+      {
+        id: 'bullets',
+        label: 'Add bullet list',
+        instruction: 'Reorganize the text so the key points are a bulleted list ("- " at the start of each item), with a short lead-in sentence and closing line if they fit.'
+      }
+    ];
+  }
+
+  // Built-in actions followed by the user's own ({ id, label, instruction } from settings)
+  static getActions(customActions = []) {
+    const custom = (customActions || []).map(action => ({
+      id: `custom:${action.id}`,
+      label: action.label,
+      instruction: action.instruction,
+      custom: true
+    }));
+    return [...RewriteActions.getBuiltInActions(), ...custom];
+  }
+
+  // Look up an action and fill its {{placeholders}}; returns null for unknown ids
+  static resolve(id, customActions = [], values = {}) {
+    const action = RewriteActions.getActions(customActions).find(item => item.id === id);
+    if (!action) return null;
+
+    return {
+      ...action,
+      instruction: action.instruction.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+        return values[name] !== undefined && values[name] !== '' ? values[name] : placeholder;
+      })
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RewriteActions;
+} else {
+  self.RewriteActions = RewriteActions;
+}
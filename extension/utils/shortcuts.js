@@ -0,0 +1,144 @@
+// Keyboard shortcuts for the Gmail integration
+// Keys are strings like "Alt+Shift+D" (modifiers in Ctrl, Alt, Shift, Meta order), bound by the in-page
+// listener from the options page. The same ids are manifest "commands" without suggested keys, so Chrome
+// only binds one when the user assigns it at chrome://extensions/shortcuts and the two sets can't disagree
+class Shortcuts {
+  static getActions() {
+    return [
+      { id: 'draft', label: 'Draft reply', description: 'Generate a reply (or rewrite the message if it has text)', defaultKey: 'Alt+Shift+D' },
+      { id: 'rewrite', label: 'Rewrite message', description: 'Rewrite the text you typed', defaultKey: 'Alt+Shift+R' },
+      { id: 'accept', label: 'Accept preview', description: 'Insert the previewed draft using its main button', defaultKey: 'Alt+Shift+Enter' },
+      { id: 'cycle-variant', label: 'Next variant', description: 'Show the next alternative in the preview', defaultKey: 'Alt+Shift+V' },
+      { id: 'cancel', label: 'Cancel', description: 'Stop generating, or close the preview', defaultKey: 'Alt+Shift+X' },
+      { id: 'palette', label: 'Command palette', description: 'Search every ChatJeePT action', defaultKey: 'Alt+Shift+K' },
+      { id: 'quick-reply', label: 'Quick replies', description: 'Search saved replies and insert one without the model', defaultKey: 'Alt+Shift+Q' }
+    ];
+  }
+
+  // Shortcuts Gmail (with keyboard shortcuts on) and Chrome already use; keys Gmail binds without
+  // a modifier don't matter since ours always need Ctrl, Alt or Meta
+  static getReservedKeys() {
+    return {
+      'Ctrl+Enter': 'Gmail: send',
+      'Ctrl+Shift+C': 'Gmail: add Cc recipients',
+      'Ctrl+Shift+B': 'Gmail: add Bcc recipients',
+      'Ctrl+Shift+F': 'Gmail: change From address',
+      'Ctrl+Shift+D': 'Gmail: discard draft',
+      'Ctrl+K': 'Gmail: insert link',
+      'Ctrl+B': 'Gmail: bold',
+      'Ctrl+I': 'Gmail: italic',
+      'Ctrl+U': 'Gmail: underline',
+      'Ctrl+Shift+7': 'Gmail: numbered list',
+      'Ctrl+Shift+8': 'Gmail: bulleted list',
+      'Ctrl+Shift+9': 'Gmail: quote',
+      'Ctrl+Shift+L': 'Gmail: align left',
+      'Ctrl+Shift+E': 'Gmail: align center',
+      'Ctrl+Shift+R': 'Gmail: align right',
+      'Ctrl+Shift+5': 'Gmail: previous font',
+      'Ctrl+Shift+6': 'Gmail: next font',
+      'Ctrl+Shift+Minus': 'Gmail: smaller text',
+      'Ctrl+Shift+Equal': 'Gmail: larger text',
+      'Ctrl+Backslash': 'Gmail: remove formatting',
+      'Ctrl+Period': 'Gmail: next window',
+      'Ctrl+Comma': 'Gmail: previous window',
+      'Ctrl+Z': 'Undo',
+      'Ctrl+Y': 'Redo',
+      'Ctrl+A': 'Select all',
+      'Ctrl+C': 'Copy',
+      'Ctrl+V': 'Paste',
+      'Ctrl+X': 'Cut',
+      'Ctrl+F': 'Chrome: find',
+      'Ctrl+P': 'Chrome: print',
+      'Ctrl+R': 'Chrome: reload',
+      'Ctrl+T': 'Chrome: new tab',
+      'Ctrl+W': 'Chrome: close tab',
+      'Ctrl+N': 'Chrome: new window',
+      'Ctrl+L': 'Chrome: address bar',
+      'Ctrl+D': 'Chrome: bookmark page',
+      'Ctrl+Shift+T': 'Chrome: reopen closed tab',
+      'Ctrl+Shift+N': 'Chrome: incognito window',
+      'Alt+F': 'Chrome: menu',
+      'Alt+D': 'Chrome: address bar'
+    };
+  }
+
+  // Bindings with the user's changes applied: { actionId: key }, '' turns an action's key off
+  static resolve(overrides = {}) {
+    const bindings = {};
+    Shortcuts.getActions().forEach(action => {
+      const override = (overrides || {})[action.id];
+      bindings[action.id] = typeof override === 'string' ? override : action.defaultKey;
+    });
+    return bindings;
+  }
+
+  // "Alt+Shift+D" for a keydown event; null for a lone modifier. event.code keeps letters and
+  // digits stable when Alt/Option changes the character ("∂" on a Mac)
+  static fromEvent(event) {
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return null;
+
+    const codeMatch = (event.code || '').match(/^(?:Key([A-Z])|Digit(\d))$/);
+    const namedKeys = {
+      ' ': 'Space', '.': 'Period', ',': 'Comma', '/': 'Slash', '\\': 'Backslash', '-': 'Minus', '=': 'Equal', Esc: 'Escape'
+    };
+    const codeKeys = { Period: 'Period', Comma: 'Comma', Slash: 'Slash', Backslash: 'Backslash', Minus: 'Minus', Equal: 'Equal' };
+
+    let key = codeMatch ? (codeMatch[1] || codeMatch[2]) : (codeKeys[event.code] || namedKeys[event.key] || event.key);
+    if (key.length === 1) {
+      key = key.toUpperCase();
+    }
+
+    return [
+      event.ctrlKey ? 'Ctrl' : null,
+      event.altKey ? 'Alt' : null,
+      event.shiftKey ? 'Shift' : null,
+      event.metaKey ? 'Meta' : null,
+      key
+    ].filter(Boolean).join('+');
+  }
+
+  // Readable form for menus ("⌥⇧D" on a Mac)
+  static format(key) {
+    if (!key) return '';
+    if (!/Mac/i.test(navigator.platform || navigator.userAgent || '')) return key;
+
+    const symbols = { Ctrl: '⌃', Alt: '⌥', Shift: '⇧', Meta: '⌘' };
+    return key.split('+').map(part => symbols[part] || part).join('');
+  }
+
+  // Problems with a set of bindings: [{ actionId, key, message, blocking }]; blocking ones
+  // can't work at all, the others take a key away from Gmail or Chrome
+  static findConflicts(bindings) {
+    const reserved = Shortcuts.getReservedKeys();
+    const conflicts = [];
+    const seen = {};
+
+    Shortcuts.getActions().forEach(action => {
+      const key = bindings[action.id];
+      if (!key) return;
+
+      // Gmail uses Cmd where other platforms use Ctrl
+      const reservedName = reserved[key] || reserved[key.replace(/\bMeta\b/, 'Ctrl')];
+      const modifiers = key.split('+').slice(0, -1);
+
+      if (!modifiers.some(modifier => ['Ctrl', 'Alt', 'Meta'].includes(modifier))) {
+        conflicts.push({ actionId: action.id, key: key, message: 'Needs Ctrl, Alt or Cmd so it doesn\'t fire while typing', blocking: true });
+      } else if (seen[key]) {
+        // Checked before reserved keys: only the first action would ever run
+        conflicts.push({ actionId: action.id, key: key, message: `Also assigned to "${seen[key].label}"`, blocking: true });
+      } else if (reservedName) {
+        conflicts.push({ actionId: action.id, key: key, message: `Already used by ${reservedName}`, blocking: false });
+      }
+      seen[key] = seen[key] || action;
+    });
+
+    return conflicts;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Shortcuts;
+} else {
+  self.Shortcuts = Shortcuts;
+}
@@ -1,112 +1,282 @@
 // Site scraping utilities for JeepBeach content
 class SiteScraper {
   constructor() {
-    this.maxTextLength = 6000; // Token limit safety
+    this.skipExtensions = /\.(pdf|jpe?g|png|gif|webp|svg|ico|zip|mp4|mov|mp3|css|js|json|xml|txt|docx?|xlsx?)$/i;
+    this.skipPaths = /\/(wp-admin|wp-json|wp-login|feed|cart|checkout|my-account|tag|author)(\/|$)/i;
+    this.refreshPromise = null;
   }
 
-  // Fetch and parse a single URL
-  async fetchAndParseUrl(url) {
+  // Fetch raw HTML for a single URL
+  async fetchHtml(url) {
+    const response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return await response.text();
+  }
+
+  // Fetch a page with a conditional request, keeping the last good copy on failure
+  // Returns { url, text, links, etag, lastModified, status, error, fetchedAt, checkedAt }
+  async fetchPage(url, previous = null, keepLinks = false) {
+    const headers = {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    };
+
+    if (previous && previous.text) {
+      if (previous.etag) headers['If-None-Match'] = previous.etag;
+      if (previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+    }
+
+    const checkedAt = Date.now();
+
     try {
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        }
-      });
+      // no-store so the server's 304 reaches us instead of being answered from the HTTP cache
+      const response = await fetch(url, { method: 'GET', headers: headers, cache: 'no-store' });
+
+      if (response.status === 304 && previous) {
+        return { ...previous, status: 'not-modified', error: null, fetchedAt: checkedAt, checkedAt: checkedAt };
+      }
 
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
       const html = await response.text();
-      return this.parseHtml(html);
+      return {
+        url: url,
+        text: this.parseHtml(html, url),
+        links: keepLinks ? this.extractLinks(html, url) : [],
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        status: 'ok',
+        error: null,
+        fetchedAt: checkedAt,
+        checkedAt: checkedAt
+      };
     } catch (error) {
       console.error(`Error fetching ${url}:`, error);
-      return '';
+      const lastGood = previous || { text: '', links: [], etag: null, lastModified: null, fetchedAt: null };
+      return { ...lastGood, url: url, status: 'error', error: error.message, checkedAt: checkedAt };
     }
   }
 
-  // Parse HTML and extract text content
-  parseHtml(html) {
-    // Create a temporary DOM element
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(html, 'text/html');
-    
-    // Remove script and style elements
-    const scripts = doc.querySelectorAll('script, style, nav, header, footer');
-    scripts.forEach(el => el.remove());
-    
-    // Get text content
-    let text = doc.body ? doc.body.textContent : '';
-    
-    // Clean up the text
-    text = this.cleanText(text);
-    
-    return text;
+  // Fetch and parse a single URL
+  async fetchAndParseUrl(url) {
+    try {
+      const html = await this.fetchHtml(url);
+      return this.parseHtml(html, url);
+    } catch (error) {
+      console.error(`Error fetching ${url}:`, error);
+      return '';
+    }
   }
 
-  // Clean and normalize text
-  cleanText(text) {
-    if (!text) return '';
-    
-    // Replace multiple whitespace with single space
-    text = text.replace(/\s+/g, ' ');
-    
-    // Remove extra newlines
-    text = text.replace(/\n\s*\n/g, '\n');
-    
-    // Trim whitespace
-    text = text.trim();
-    
-    return text;
+  // Parse HTML into structured text (headings, list items, link URLs)
+  // Uses HtmlToText rather than DOMParser so it also runs in the service worker
+  parseHtml(html, baseUrl = null) {
+    const converter = new HtmlToText({
+      baseUrl: baseUrl,
+      skipTags: ['nav', 'header', 'footer']
+    });
+
+    return converter.convert(html);
   }
 
-  // Fetch all JeepBeach URLs and combine content
-  async fetchJeepBeachContent(urls) {
-    const urlArray = Array.isArray(urls) ? urls : urls.split('\n').filter(url => url.trim());
-    const results = [];
-    
+  // Fetch all JeepBeach URLs as page records, optionally crawling the site
+  async fetchJeepBeachPages(urls, crawlOptions = null, previousPages = []) {
+    const previousByUrl = new Map(previousPages.map(page => [page.url, page]));
+
+    if (crawlOptions && crawlOptions.enabled) {
+      return this.crawl(urls, crawlOptions, previousByUrl);
+    }
+
     // Fetch all URLs in parallel
-    const promises = urlArray.map(url => this.fetchAndParseUrl(url.trim()));
-    const contents = await Promise.all(promises);
-    
-    // Combine all content
-    let combinedText = '';
-    for (let i = 0; i < contents.length; i++) {
-      if (contents[i]) {
-        combinedText += `\n\n--- Content from ${urlArray[i]} ---\n\n`;
-        combinedText += contents[i];
+    const urlArray = this.normalizeUrls(urls);
+    return Promise.all(urlArray.map(url => this.fetchPage(url, previousByUrl.get(url))));
+  }
+
+  // Accept an array or a newline-separated string of URLs
+  normalizeUrls(urls) {
+    if (!urls) return [];
+    const urlArray = Array.isArray(urls) ? urls : urls.split('\n');
+    return urlArray.map(url => url.trim()).filter(Boolean);
+  }
+
+  // Crawl same-origin links breadth-first from the seed URLs (plus sitemap.xml)
+  async crawl(seedUrls, options = {}, previousByUrl = new Map()) {
+    const maxDepth = Math.max(0, parseInt(options.depth, 10) || 0);
+    const maxPages = Math.max(1, parseInt(options.maxPages, 10) || 30);
+    const seeds = this.normalizeUrls(seedUrls).map(url => this.normalizeLink(url)).filter(Boolean);
+    const origins = new Set(seeds.map(url => new URL(url).origin));
+
+    const queue = seeds.map(url => ({ url: url, depth: 0 }));
+    const seen = new Set(seeds);
+
+    // Sitemap entries are treated as direct links from the seeds
+    for (const origin of origins) {
+      const sitemapUrls = await this.fetchSitemapUrls(`${origin}/sitemap.xml`);
+      sitemapUrls.forEach(url => {
+        const link = this.normalizeLink(url);
+        if (link && !seen.has(link) && this.isCrawlable(link, origins)) {
+          seen.add(link);
+          queue.push({ url: link, depth: 1 });
+        }
+      });
+    }
+
+    const pages = [];
+    while (queue.length > 0 && pages.length < maxPages) {
+      const { url, depth } = queue.shift();
+
+      const page = await this.fetchPage(url, previousByUrl.get(url), true);
+      pages.push(page);
+
+      if (depth >= maxDepth) continue;
+
+      // Unchanged pages reuse the links saved from their last full fetch
+      (page.links || []).forEach(link => {
+        if (!seen.has(link) && this.isCrawlable(link, origins)) {
+          seen.add(link);
+          queue.push({ url: link, depth: depth + 1 });
+        }
+      });
+    }
+
+    return pages;
+  }
+
+  // Read <loc> entries from a sitemap, following one level of sitemap index
+  async fetchSitemapUrls(sitemapUrl, followIndex = true) {
+    try {
+      const xml = await this.fetchHtml(sitemapUrl);
+      const locs = [...xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]\s]+)/gi)].map(match => this.decodeEntities(match[1]));
+
+      if (followIndex && /<sitemapindex/i.test(xml)) {
+        const nested = await Promise.all(locs.map(loc => this.fetchSitemapUrls(loc, false)));
+        return nested.flat();
       }
+
+      return locs;
+    } catch (error) {
+      console.warn(`No sitemap at ${sitemapUrl}:`, error.message);
+      return [];
     }
-    
-    // Truncate if too long
-    if (combinedText.length > this.maxTextLength) {
-      combinedText = combinedText.substring(0, this.maxTextLength) + '...';
+  }
+
+  // Find absolute href targets in an HTML string (no DOM needed)
+  extractLinks(html, baseUrl) {
+    const links = new Set();
+    const hrefPattern = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+
+    for (const match of html.matchAll(hrefPattern)) {
+      const href = this.decodeEntities(match[1] || match[2] || match[3] || '');
+      const link = this.normalizeLink(href, baseUrl);
+      if (link) {
+        links.add(link);
+      }
     }
-    
-    return combinedText.trim();
+
+    return [...links];
   }
 
-  // Get cached content or fetch fresh
-  async getJeepBeachContent(urls, forceRefresh = false) {
-    // Check cache first (unless force refresh)
-    if (!forceRefresh) {
+  // Resolve a link against its page and drop the fragment
+  normalizeLink(href, baseUrl) {
+    try {
+      const url = new URL(href, baseUrl);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+      url.hash = '';
+      return url.href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Only crawl HTML pages on the seed origins
+  isCrawlable(link, origins) {
+    const url = new URL(link);
+    return origins.has(url.origin) &&
+           !this.skipExtensions.test(url.pathname) &&
+           !this.skipPaths.test(url.pathname);
+  }
+
+  decodeEntities(text) {
+    return text
+      .replace(/&amp;/g, '&')
+      .replace(/&#0?38;/g, '&')
+      .replace(/&quot;/g, '"')
+      .replace(/&#0?39;/g, "'");
+  }
+
+  // Identify the source configuration a cache was built from
+  getSourceKey(settings) {
+    return JSON.stringify({
+      urls: this.normalizeUrls(settings.jeepBeachUrls),
+      crawl: settings.crawlSettings || null
+    });
+  }
+
+  // Get the cached knowledge index, refreshing it if missing, stale or forced
+  // A stale index is still returned immediately while a refresh runs in the background
+  async getKnowledgeIndex(settings, forceRefresh = false) {
+    const storage = new StorageManager();
+    const cache = await storage.getSiteCache();
+
+    if (!forceRefresh && cache && cache.sourceKey === this.getSourceKey(settings)) {
+      const data = await storage.getKnowledgeIndex();
+      if (data) {
+        if (storage.isCacheExpired(cache, settings.refreshIntervalHours)) {
+          this.refreshKnowledgeIndex(settings).catch(error => {
+            console.error('Background refresh failed:', error);
+          });
+        }
+        const index = new KnowledgeIndex(data);
+        if (index.isCurrent()) {
+          return index;
+        }
+
+        // Tokenizer changed since this index was stored; rebuild it from the cached pages
+        const rebuilt = KnowledgeIndex.fromPages((cache.pages || []).filter(page => page.text));
+        await storage.setKnowledgeIndex(rebuilt.toJSON());
+        return rebuilt;
+      }
+    }
+
+    return this.refreshKnowledgeIndex(settings);
+  }
+
+  // Re-fetch all pages (conditionally) and rebuild the index; concurrent calls share one refresh
+  async refreshKnowledgeIndex(settings) {
+    if (this.refreshPromise) {
+      return this.refreshPromise;
+    }
+
+    this.refreshPromise = (async () => {
       const storage = new StorageManager();
       const cache = await storage.getSiteCache();
-      
-      if (cache && !storage.isCacheExpired(cache)) {
-        return cache.text;
-      }
+      const previousPages = (cache && cache.pages) || [];
+
+      const pages = await this.fetchJeepBeachPages(settings.jeepBeachUrls, settings.crawlSettings, previousPages);
+      const index = KnowledgeIndex.fromPages(pages.filter(page => page.text));
+
+      // Cache the result
+      await storage.setSiteCache(pages, this.getSourceKey(settings));
+      await storage.setKnowledgeIndex(index.toJSON());
+
+      return index;
+    })();
+
+    try {
+      return await this.refreshPromise;
+    } finally {
+      this.refreshPromise = null;
     }
-    
-    // Fetch fresh content
-    const content = await this.fetchJeepBeachContent(urls);
-    
-    // Cache the result
-    const storage = new StorageManager();
-    await storage.setSiteCache(content);
-    
-    return content;
   }
 
   // Test if URLs are accessible
@@ -139,5 +309,5 @@ class SiteScraper {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SiteScraper;
 } else {
-  window.SiteScraper = SiteScraper;
+  self.SiteScraper = SiteScraper;
 }
\ No newline at end of file
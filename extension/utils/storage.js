@@ -3,8 +3,24 @@ class StorageManager {
   constructor() {
     this.syncKeys = [
       'apiKey',
+      'provider',
+      'customBaseUrl',
+      'customModel',
+      'customApiKey',
+      'jeepBeachUrls',
+      'crawlSettings',
+      'refreshIntervalHours',
+      'draftModelSettings',
+      'rewriteModelSettings',
       'tone',
       'fallbackMessage',
+      'greetingStyle',
+      'variantCount',
+      'structuredOutput',
+      'classifyIntent',
+      'intentConfidence',
+      'shortcuts',
+      'eventDetails',
       'useGmailApi'
     ];
   }
@@ -18,10 +34,14 @@ class StorageManager {
     });
   }
 
-  // Set sync storage data
+  // Set sync storage data; rejects when Chrome refuses the write (an item over the 8 KB sync quota)
   async setSyncData(data) {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       chrome.storage.sync.set(data, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
         resolve();
       });
     });
@@ -36,10 +56,14 @@ class StorageManager {
     });
   }
 
-  // Set local storage data
+  // Set local storage data; rejects when Chrome refuses the write
   async setLocalData(data) {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       chrome.storage.local.set(data, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
         resolve();
       });
     });
@@ -49,8 +73,31 @@ class StorageManager {
   getDefaultSettings() {
     return {
       apiKey: '',
+      provider: 'openai',
+      customBaseUrl: 'http://localhost:11434/v1',
+      customModel: '',
+      customApiKey: '',
+      jeepBeachUrls: [
+        'https://jeepbeach.com/',
+        'https://jeepbeach.com/faq/',
+        'https://jeepbeach.com/registration/',
+        'https://jeepbeach.com/events/',
+        'https://jeepbeach.com/vendors/',
+        'https://jeepbeach.com/rules/'
+      ],
+      crawlSettings: { enabled: false, depth: 1, maxPages: 30 },
+      refreshIntervalHours: 4,
+      draftModelSettings: { model: '', temperature: 0.5, maxTokens: 600 },
+      rewriteModelSettings: { model: '', temperature: 0.4, maxTokens: 600 },
       tone: 'friendly, concise, cheerful + helpful',
       fallbackMessage: 'Thanks for reaching out! We are currently experiencing a high level of inbound questions so we would really appreciate it if you could check out FAQs for answers: https://jeepbeach.com/faq/\nIf you still need help, just reply here and we\'ll jump in!',
+      greetingStyle: 'mirror',
+      variantCount: 3,
+      structuredOutput: false,
+      classifyIntent: true,
+      intentConfidence: 0.6,
+      shortcuts: {},
+      eventDetails: { eventYear: '', eventDates: '' },
       useGmailApi: false
     };
   }
@@ -77,20 +124,123 @@ class StorageManager {
     return result.jeepBeachCache || null;
   }
 
-  // Set cached site data
-  async setSiteCache(text) {
+  // Set cached site data (per-URL page records and the source list they came from)
+  async setSiteCache(pages, sourceKey = '') {
     const cache = {
-      text: text,
+      pages: pages,
+      sourceKey: sourceKey,
       updatedAt: Date.now()
     };
     await this.setLocalData({ jeepBeachCache: cache });
   }
 
-  // Check if cache is expired (4 hours)
-  isCacheExpired(cache) {
+  // Get the serialized knowledge index
+  async getKnowledgeIndex() {
+    const result = await this.getLocalData(['jeepBeachIndex']);
+    return result.jeepBeachIndex || null;
+  }
+
+  // Set the serialized knowledge index
+  async setKnowledgeIndex(data) {
+    await this.setLocalData({ jeepBeachIndex: data });
+  }
+
+  // Get team-curated knowledge snippets ({ id, title, body, tags, expiresAt, updatedAt })
+  async getSnippets() {
+    const result = await this.getLocalData(['knowledgeSnippets']);
+    return result.knowledgeSnippets || [];
+  }
+
+  // Set team-curated knowledge snippets
+  async setSnippets(snippets) {
+    await this.setLocalData({ knowledgeSnippets: snippets });
+  }
+
+  // Settings with free text that can outgrow the 8 KB sync item quota are kept in local storage
+  // like snippets. Earlier versions stored them in sync, which is read until they're saved again
+  async getLocalSetting(key, fallback) {
+    const result = await this.getLocalData([key]);
+    if (result[key] !== undefined) {
+      return result[key];
+    }
+
+    const legacy = await new Promise((resolve) => {
+      chrome.storage.sync.get([key], resolve);
+    });
+    return legacy[key] !== undefined ? legacy[key] : fallback;
+  }
+
+  // Save a local setting and drop the old sync copy
+  async setLocalSetting(key, value) {
+    await this.setLocalData({ [key]: value });
+    chrome.storage.sync.remove(key);
+  }
+
+  // Get reply profiles (signatures, rules and fallback text per profile)
+  async getProfiles() {
+    return this.getLocalSetting('profiles', []);
+  }
+
+  async setProfiles(profiles) {
+    await this.setLocalSetting('profiles', profiles);
+  }
+
+  // Get prompt template overrides ({ templateName: text })
+  async getPromptTemplates() {
+    return this.getLocalSetting('promptTemplates', {});
+  }
+
+  async setPromptTemplates(promptTemplates) {
+    await this.setLocalSetting('promptTemplates', promptTemplates);
+  }
+
+  // Get user-made rewrite actions ({ id, label, instruction })
+  async getCustomRewriteActions() {
+    return this.getLocalSetting('customRewriteActions', []);
+  }
+
+  async setCustomRewriteActions(customRewriteActions) {
+    await this.setLocalSetting('customRewriteActions', customRewriteActions);
+  }
+
+  // Get category routes ({ categoryId: { profileId, fallbackMessage, preferredUrls } })
+  async getIntentRoutes() {
+    return this.getLocalSetting('intentRoutes', {});
+  }
+
+  async setIntentRoutes(intentRoutes) {
+    await this.setLocalSetting('intentRoutes', intentRoutes);
+  }
+
+  // Get quick replies ({ id, title, body, tags, updatedAt }) inserted without the LLM
+  async getQuickReplies() {
+    const result = await this.getLocalData(['quickReplies']);
+    return result.quickReplies || [];
+  }
+
+  // Set quick replies
+  async setQuickReplies(quickReplies) {
+    await this.setLocalData({ quickReplies: quickReplies });
+  }
+
+  // Get snippets that haven't passed their expiry date
+  async getActiveSnippets() {
+    const snippets = await this.getSnippets();
+    return snippets.filter(snippet => !this.isSnippetExpired(snippet));
+  }
+
+  // Snippets expire at the end of their expiry day (YYYY-MM-DD, local time)
+  isSnippetExpired(snippet) {
+    if (!snippet.expiresAt) return false;
+    const endOfDay = new Date(`${snippet.expiresAt}T23:59:59`);
+    return Date.now() > endOfDay.getTime();
+  }
+
+  // Check if cache is older than the refresh interval (default 4 hours)
+  isCacheExpired(cache, maxAgeHours = 4) {
     if (!cache || !cache.updatedAt) return true;
-    const fourHours = 4 * 60 * 60 * 1000;
-    return Date.now() - cache.updatedAt > fourHours;
+    const maxAge = (maxAgeHours || 4) * 60 * 60 * 1000;
+    return Date.now() - cache.updatedAt > maxAge;
   }
 }
 
@@ -98,5 +248,5 @@ class StorageManager {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = StorageManager;
 } else {
-  window.StorageManager = StorageManager;
+  self.StorageManager = StorageManager;
 }
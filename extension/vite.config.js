@@ -6,7 +6,7 @@ export default defineConfig({
     rollupOptions: {
       input: {
         options: 'options.html',
-        background: 'background.js',
+        background: 'background-combined.js',
         content: 'content.js'
       },
       output: {